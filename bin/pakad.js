@@ -0,0 +1,451 @@
+#!/usr/bin/env node
+// pakad: the raga database and chord engine from the command line. It runs the same code as the
+// /api routes (lib/data.js for the CSVs, searchRagas and chordsForPatterns from lib/routes.js) on the
+// CSVs next to this repo, so scripts need no server.
+//
+//   pakad raga Yaman --chords --tonic C --part aaroh
+//   pakad search --include 4,11 --exclude 5
+//   pakad export --format midi --out sheets --list syllabus.txt
+//   pakad validate --strict
+//
+// Exit codes: 0 done, 1 failed (I/O), 2 bad usage or query, 3 raga not found or nothing matched,
+// 4 the CSVs did not validate.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { swarNames, westernNotesFlat, westernNotesSharp, voicingStyles, chordLabel } from '../lib/raga-theory.js';
+import { createRagaStore } from '../lib/data.js';
+import { searchRagas, chordsForPatterns } from '../lib/routes.js';
+import { parseQuery, nameScore } from '../lib/query.js';
+import { readUser } from '../lib/library.js';
+import { writeChordMidi } from '../lib/midi.js';
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, NOT_FOUND: 3, INVALID: 4 };
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage: pakad <command> [options]
+
+Commands
+  raga <name>              the raga's swaras and metadata; --chords adds its chords
+  search [query]           ragas matching a query (lib/query.js syntax, e.g. "aaroh:+M vakra:true bhairo")
+  export                   chord sheets for many ragas as csv, json or one .mid file per raga
+  validate                 check the CSVs: malformed swaras, duplicate names, unflagged vakra turns,
+                           chalan swaras outside the aaroh/avroh
+  help                     this text
+
+Chords (raga --chords, export)
+  --part all|aaroh|avroh   which part of the raga to build chords from (default all)
+  --type <id>              one chord type (major, minor7, sus4 ...; default all)
+  --extend                 add extended chords
+  --tonic <C|F#|Bb|0-11>   Sa's pitch; adds Western chord names
+  --voicing <style>        ${voicingStyles.map(v => v.id).join(', ')}; adds MIDI notes
+
+Search
+  --include <pcs>          pitch classes (0-11) or swaras (r,G,M) every match has, e.g. 4,11
+  --exclude <pcs>          pitch classes or swaras no match has
+  --system <name>          hindustani (default), carnatic or all
+  --notes <5|6|7>          number of swaras
+  --exact                  exactly the included swaras (and Sa)
+
+Export
+  --format csv|json|midi   (default json)
+  --out <path>             file for csv/json (default stdout), directory for midi (default .)
+  --list <file>            raga names, one per line (# starts a comment); or name ragas as arguments,
+                           or pick them with --query; all ragas of --system without any of these
+  --bpm <n> --beats <n>    MIDI tempo and beats per chord (default 120 and 2)
+
+Validate
+  --strict                 warnings fail too (exit 4), not only errors
+  --errors                 list errors only (the summary still counts warnings)
+
+Common
+  --json                   JSON instead of a table
+  --user <id>              include that user's saved ragas (from data/user-library.json or $USER_DATA_DIR)
+  --data <dir>             directory holding the CSVs (default: the repo)
+
+Exit codes: 0 done, 1 failed, 2 bad usage or query, 3 raga not found or nothing matched,
+4 the CSVs did not validate`;
+
+const OPTIONS = {
+  chords: { type: 'boolean' },
+  part: { type: 'string' },
+  type: { type: 'string' },
+  extend: { type: 'boolean' },
+  tonic: { type: 'string' },
+  voicing: { type: 'string' },
+  include: { type: 'string' },
+  exclude: { type: 'string' },
+  system: { type: 'string' },
+  notes: { type: 'string' },
+  exact: { type: 'boolean' },
+  query: { type: 'string' },
+  format: { type: 'string' },
+  out: { type: 'string' },
+  list: { type: 'string' },
+  bpm: { type: 'string' },
+  beats: { type: 'string' },
+  strict: { type: 'boolean' },
+  errors: { type: 'boolean' },
+  json: { type: 'boolean' },
+  user: { type: 'string' },
+  data: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// A usage mistake: reported with the hint to run help, exit 2
+class UsageError extends Error {}
+// An unknown raga or an empty result, exit 3
+class NotFoundError extends Error {}
+
+// ---- option readers ----
+
+function readTonic(value) {
+  if (value === undefined) return null;
+  const text = value.trim().replace('♭', 'b').replace('♯', '#');
+  if (/^\d+$/.test(text) && parseInt(text, 10) <= 11) return parseInt(text, 10);
+  const name = text.charAt(0).toUpperCase() + text.slice(1);
+  const flat = westernNotesFlat.indexOf(name.replace('b', '♭'));
+  const sharp = westernNotesSharp.indexOf(name);
+  if (flat !== -1) return flat;
+  if (sharp !== -1) return sharp;
+  throw new UsageError(`--tonic takes a note name (C, F#, Bb) or 0-11, got "${value}"`);
+}
+
+// "4,11" or "G,N" -> [4, 11]
+function readPitchClasses(value, option) {
+  if (value === undefined) return [];
+  return value.split(',').map(s => s.trim()).filter(Boolean).map(token => {
+    const pc = /^\d+$/.test(token) ? parseInt(token, 10) : parseQuery(`+${token}`).terms.map(t => t.pc)[0];
+    if (pc === undefined || pc < 0 || pc > 11) throw new UsageError(`--${option}: "${token}" is not a pitch class (0-11) or swara`);
+    return pc;
+  });
+}
+
+function readNumber(value, option, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!(n > 0)) throw new UsageError(`--${option} takes a positive number, got "${value}"`);
+  return n;
+}
+
+const oneOf = (value, option, allowed, fallback) => {
+  if (value === undefined) return fallback;
+  if (!allowed.includes(value)) throw new UsageError(`--${option} takes ${allowed.join(', ')}, got "${value}"`);
+  return value;
+};
+
+// ---- data ----
+
+function openStore(options) {
+  const dataDir = options.data ? path.resolve(options.data) : ROOT;
+  if (!fs.existsSync(dataDir)) throw new UsageError(`--data: no directory ${dataDir}`);
+  const user = options.user === undefined ? null : readUser({}, new URLSearchParams({ user: options.user }));
+  if (user && user.error) throw new UsageError(`--user: ${user.error}`);
+  return { store: createRagaStore(dataDir), user };
+}
+
+// The same lists /api/raga-search uses for ?system=
+function ragasForSystem(store, user, system) {
+  const hindustani = user ? store.getRagasFor(user) : store.getRagas();
+  const carnatic = [...store.getMelakartas(), ...store.getJanyas()];
+  return system === 'carnatic' ? carnatic : system === 'all' ? [...hindustani, ...carnatic] : hindustani;
+}
+
+// The system a query searches, as the route picks it: its system: term, then --system, then the
+// Carnatic ragas when it has a melakarta: or janya: term
+const querySystem = (parsed, system) => parsed.system || system
+  || (parsed.terms.some(t => t.key === 'melakarta' || t.key === 'janya') ? 'carnatic' : 'hindustani');
+
+// A raga by name from anywhere; unknown names fail with the closest spellings
+function findRaga(store, user, name) {
+  const raga = store.findRaga(name, user)
+    || store.getMelakartas().find(m => m.name.toLowerCase() === name.toLowerCase());
+  if (raga) return raga;
+  const near = ragasForSystem(store, user, 'all')
+    .map(r => ({ name: r.name, score: nameScore(name, r.name) }))
+    .filter(r => r.score >= 0.6)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3);
+  throw new NotFoundError(`No raga named "${name}"${near.length ? ` (did you mean ${near.map(r => r.name).join(', ')}?)` : ''}`);
+}
+
+// chordsForPatterns with the CLI's chord options as the route's query params
+function ragaChords(store, raga, options) {
+  const query = new URLSearchParams({ part: oneOf(options.part, 'part', ['all', 'aaroh', 'avroh'], 'all') });
+  if (options.type) {
+    if (!store.getChordTypes().some(t => t.id === options.type)) {
+      throw new UsageError(`--type: unknown chord type "${options.type}" (${store.getChordTypes().map(t => t.id).join(', ')})`);
+    }
+    query.set('chordType', options.type);
+  }
+  if (options.extend) query.set('extend', 'true');
+  const tonic = readTonic(options.tonic);
+  if (tonic !== null) query.set('tonic', String(tonic));
+  if (options.voicing) query.set('voicing', oneOf(options.voicing, 'voicing', voicingStyles.map(v => v.id)));
+  return chordsForPatterns({ all: raga.notePattern, aaroh: raga.aarohPattern, avroh: raga.avrohPattern }, query, store.getChordTypes());
+}
+
+// ---- output ----
+
+const swaras = (pattern) => pattern.map((v, pc) => (v ? swarNames[pc] : null)).filter(Boolean);
+const written = (raga, part) => (part === 'aaroh'
+  ? raga.arohanam || raga.aarohNotation || swaras(raga.aarohPattern).join(' ')
+  : raga.avarohanam || raga.avrohNotation || swaras(raga.avrohPattern).slice().reverse().join(' '));
+const systemOf = (raga) => (raga.number || raga.janya ? 'carnatic' : raga.source === 'user' ? 'saved' : 'hindustani');
+
+function table(rows, columns) {
+  const widths = columns.map(([title, get]) => Math.max(title.length, ...rows.map(r => String(get(r) ?? '').length)));
+  const line = (cells) => cells.map((c, i) => String(c ?? '').padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns.map(([title]) => title)), line(widths.map(w => '-'.repeat(w))), ...rows.map(r => line(columns.map(([, get]) => get(r))))].join('\n');
+}
+
+const chordRow = (c) => ({
+  name: chordLabel(c),
+  root: c.root,
+  type: (c.extendedType || c.type).id,
+  notes: c.notes,
+  swaras: c.notes.map(n => swarNames[n]),
+  ...(c.bass !== undefined && c.bass !== null ? { bass: c.bass } : {}),
+  ...(c.westernName ? { western: c.westernName } : {}),
+  ...(c.midi ? { midi: c.midi } : {})
+});
+
+const CHORD_COLUMNS = [
+  ['Chord', c => c.name],
+  ['Swaras', c => c.swaras.join(' ')],
+  ['Western', c => c.western || ''],
+  ['MIDI', c => (c.midi ? c.midi.join(' ') : '')]
+];
+
+const print = (text) => process.stdout.write(`${text}\n`);
+
+// ---- commands ----
+
+function ragaCommand(positionals, options) {
+  const name = positionals.join(' ').trim();
+  if (!name) throw new UsageError('raga needs a name, e.g. pakad raga Yaman');
+  const chordFlags = ['part', 'type', 'extend', 'tonic', 'voicing'].filter(k => options[k] !== undefined);
+  if (!options.chords && chordFlags.length) throw new UsageError(`${chordFlags.map(k => `--${k}`).join(', ')} only appl${chordFlags.length === 1 ? 'ies' : 'y'} with --chords`);
+  const { store, user } = openStore(options);
+  const raga = findRaga(store, user, name);
+  const chords = options.chords ? ragaChords(store, raga, options).map(chordRow) : null;
+  const info = {
+    name: raga.name,
+    system: systemOf(raga),
+    ...(raga.number ? { melakarta: raga.number } : {}),
+    ...(raga.janya ? { melakarta: raga.melakarta, parent: raga.parent } : {}),
+    ...(raga.thaat ? { thaat: raga.thaat } : {}),
+    aaroh: written(raga, 'aaroh'),
+    avroh: written(raga, 'avroh'),
+    swaras: swaras(raga.notePattern),
+    ...(raga.vadi !== null && raga.vadi !== undefined ? { vadi: swarNames[raga.vadi] } : {}),
+    ...(raga.samvadi !== null && raga.samvadi !== undefined ? { samvadi: swarNames[raga.samvadi] } : {}),
+    ...(raga.prahar && raga.prahar.length ? { prahar: raga.prahar } : {}),
+    ...(raga.pakad ? { pakad: raga.pakad } : {}),
+    ...(chords ? { part: options.part || 'all', chords } : {})
+  };
+  if (options.json) return print(JSON.stringify(info, null, 2));
+
+  const label = (key) => key.charAt(0).toUpperCase() + key.slice(1);
+  const width = Math.max(...Object.keys(info).filter(k => k !== 'chords').map(k => k.length)) + 1;
+  Object.entries(info).forEach(([key, value]) => {
+    if (key === 'chords') return;
+    print(`${`${label(key)}:`.padEnd(width + 1)}${Array.isArray(value) ? value.join(', ') : value}`);
+  });
+  if (chords) print(`\n${chords.length ? table(chords, CHORD_COLUMNS.filter(([title]) => title !== 'MIDI' || options.voicing)) : 'No chords'}`);
+}
+
+function searchCommand(positionals, options) {
+  const system = oneOf(options.system, 'system', ['hindustani', 'carnatic', 'all'], null);
+  const text = [options.query, ...positionals].filter(Boolean).join(' ');
+  const parsed = parseQuery(text);
+  if (parsed.errors.length) {
+    throw new UsageError(`Invalid query:\n${parsed.errors.map(e => `  ${e.token} (at ${e.position + 1}): ${e.message}`).join('\n')}`);
+  }
+  const query = new URLSearchParams({ searchMode: options.exact ? 'exact' : 'contains' });
+  if (options.notes) query.set('scaleType', oneOf(options.notes, 'notes', ['5', '6', '7']));
+  query.set('selectedNotes', readPitchClasses(options.include, 'include').join(','));
+  query.set('excludedNotes', readPitchClasses(options.exclude, 'exclude').join(','));
+
+  const { store, user } = openStore(options);
+  const ragas = ragasForSystem(store, user, querySystem(parsed, system));
+  const results = searchRagas(ragas, query, parsed);
+  if (!results.length) throw new NotFoundError('No ragas matched');
+
+  if (options.json) {
+    return print(JSON.stringify(results.map(r => ({
+      name: r.name,
+      system: systemOf(r),
+      ...(r.number ? { melakarta: r.number } : {}),
+      ...(r.janya ? { melakarta: r.melakarta, parent: r.parent } : {}),
+      swaras: swaras(r.notePattern),
+      noteCount: r.noteCount,
+      aarohJati: r.aarohJati,
+      avrohJati: r.avrohJati,
+      vakra: r.vakra,
+      ...(r.score !== undefined ? { score: r.score } : {}),
+      ...(r.unknown ? { unknown: r.unknown } : {})
+    })), null, 2));
+  }
+  const jati = (j) => j.replace(/ \(.*/, '');
+  print(table(results, [
+    ['Raga', r => (r.number ? `${r.number}. ${r.name}` : r.name)],
+    ['System', r => systemOf(r)],
+    ['Swaras', r => swaras(r.notePattern).join(' ')],
+    ['Jati', r => `${jati(r.aarohJati)}-${jati(r.avrohJati)}`],
+    ['Vakra', r => (r.vakra ? 'yes' : '')],
+    ...(results[0].score !== undefined ? [['Match', r => `${Math.round(r.score * 100)}%`]] : []),
+    ...(results.some(r => r.unknown) ? [['Unknown', r => (r.unknown || []).join(', ')]] : [])
+  ]));
+  print(`\n${results.length} raga${results.length === 1 ? '' : 's'}`);
+}
+
+// The ragas an export covers: named (arguments or --list), picked by --query, or the whole system
+function exportSelection(store, user, positionals, options) {
+  const names = [...positionals];
+  if (options.list) {
+    let text;
+    try {
+      text = fs.readFileSync(options.list, 'utf8');
+    } catch (e) {
+      throw new UsageError(`--list: cannot read ${options.list} (${e.code || e.message})`);
+    }
+    names.push(...text.split(/\r?\n/).map(l => l.replace(/#.*/, '').trim()).filter(Boolean));
+  }
+  const system = oneOf(options.system, 'system', ['hindustani', 'carnatic', 'all'], null);
+  if (names.length) return names.map(name => findRaga(store, user, name));
+  if (options.query) {
+    const parsed = parseQuery(options.query);
+    if (parsed.errors.length) throw new UsageError(`Invalid query: ${parsed.errors.map(e => e.message).join('; ')}`);
+    const found = searchRagas(ragasForSystem(store, user, querySystem(parsed, system)), new URLSearchParams(), parsed);
+    if (!found.length) throw new NotFoundError('No ragas matched');
+    return found;
+  }
+  return ragasForSystem(store, user, system || 'hindustani');
+}
+
+const csvCell = (value) => {
+  const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const fileName = (name) => `${name.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'raga'}.mid`;
+
+function exportCommand(positionals, options) {
+  const format = oneOf(options.format, 'format', ['csv', 'json', 'midi'], 'json');
+  const bpm = readNumber(options.bpm, 'bpm', 120);
+  const beats = readNumber(options.beats, 'beats', 2);
+  const { store, user } = openStore(options);
+  const ragas = exportSelection(store, user, positionals, options);
+  const tonic = readTonic(options.tonic);
+  // MIDI needs notes to play: voice the chords when no --voicing was given
+  const chordOptions = format === 'midi' && !options.voicing ? { ...options, voicing: 'smooth' } : options;
+  const sheets = ragas.map(raga => ({ raga, chords: ragaChords(store, raga, chordOptions).map(chordRow) }));
+
+  if (format === 'midi') {
+    const dir = path.resolve(options.out || '.');
+    fs.mkdirSync(dir, { recursive: true });
+    sheets.forEach(({ raga, chords }) => {
+      const file = path.join(dir, fileName(raga.name));
+      fs.writeFileSync(file, writeChordMidi(chords.map(c => c.midi), { bpm, beats, name: raga.name, tonic: tonic ?? 0 }));
+      print(`${file}  (${chords.length} chords)`);
+    });
+    return;
+  }
+
+  let text;
+  if (format === 'json') {
+    text = JSON.stringify(sheets.map(({ raga, chords }) => ({
+      name: raga.name,
+      system: systemOf(raga),
+      part: options.part || 'all',
+      ...(tonic !== null ? { tonic: westernNotesFlat[tonic] } : {}),
+      aaroh: written(raga, 'aaroh'),
+      avroh: written(raga, 'avroh'),
+      chords
+    })), null, 2);
+  } else {
+    const header = ['raga', 'part', 'chord', 'root', 'type', 'swaras', 'western', 'midi'];
+    const rows = sheets.flatMap(({ raga, chords }) => chords.map(c => [
+      raga.name, options.part || 'all', c.name, c.root, c.type, c.swaras, c.western || '', c.midi || ''
+    ]));
+    text = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+  }
+  if (options.out) {
+    fs.writeFileSync(options.out, `${text}\n`);
+    print(`${path.resolve(options.out)}  (${sheets.length} raga${sheets.length === 1 ? '' : 's'})`);
+  } else {
+    print(text);
+  }
+}
+
+// Returns the exit code: the report is the result, so a failing one is not an error to throw
+function validateCommand(positionals, options) {
+  if (positionals.length) throw new UsageError('validate takes no arguments; use --data for another directory');
+  const { store } = openStore(options);
+  const report = store.validateData();
+  const issues = options.errors ? report.issues.filter(i => i.severity === 'error') : report.issues;
+  const failed = !report.ok || (options.strict && report.warnings > 0);
+  if (options.json) {
+    print(JSON.stringify({ ...report, issues }, null, 2));
+  } else {
+    if (issues.length) {
+      print(table(issues, [
+        ['Where', i => `${i.file}${i.line ? `:${i.line}` : ''}`],
+        ['Severity', i => i.severity],
+        ['Raga', i => i.raga || ''],
+        ['Field', i => i.field || ''],
+        ['Problem', i => i.message]
+      ]));
+      print('');
+    }
+    report.files.forEach(f => print(`${f.file}: ${f.rows} rows, ${f.errors} error${f.errors === 1 ? '' : 's'}, ${f.warnings} warning${f.warnings === 1 ? '' : 's'}`));
+    print(failed ? 'Invalid' : 'Valid');
+  }
+  return failed ? EXIT.INVALID : EXIT.OK;
+}
+
+const COMMANDS = { raga: ragaCommand, search: searchCommand, export: exportCommand, validate: validateCommand };
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (e) {
+    process.stderr.write(`pakad: ${e.message}\nRun pakad help for usage.\n`);
+    return EXIT.USAGE;
+  }
+  const [command, ...positionals] = parsed.positionals;
+  if (!command || command === 'help' || parsed.values.help) {
+    print(USAGE);
+    return command && command !== 'help' && !COMMANDS[command] ? EXIT.USAGE : EXIT.OK;
+  }
+  if (!COMMANDS[command]) {
+    process.stderr.write(`pakad: unknown command "${command}"\nRun pakad help for usage.\n`);
+    return EXIT.USAGE;
+  }
+  try {
+    return COMMANDS[command](positionals, parsed.values) ?? EXIT.OK;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      process.stderr.write(`pakad: ${e.message}\nRun pakad help for usage.\n`);
+      return EXIT.USAGE;
+    }
+    if (e instanceof NotFoundError) {
+      process.stderr.write(`pakad: ${e.message}\n`);
+      return EXIT.NOT_FOUND;
+    }
+    process.stderr.write(`pakad: ${e.message}\n`);
+    return EXIT.FAILED;
+  }
+}
+
+// piped into head and the like: stop quietly once the reader has gone
+process.stdout.on('error', (e) => {
+  if (e.code === 'EPIPE') process.exit(EXIT.OK);
+  throw e;
+});
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,302 @@
+// Offline audio analysis for raga identification: WAV/PCM decoding, YIN pitch tracking, tonic
+// estimation and a 12-bin pitch-class histogram relative to Sa. Pure JS so it runs the same under
+// Express and the Netlify function, with no external services.
+
+import { swarNames, westernNotesSharp } from './raga-theory.js';
+
+const ANALYSIS_RATE = 11025;   // pitch tracking works on a downsampled copy
+const FRAME = 1024;
+const HOP = 512;
+const MIN_HZ = 70;
+const MAX_HZ = 1000;
+const YIN_THRESHOLD = 0.15;
+const MAX_SECONDS = 120;       // longer recordings are analysed from the start only
+const PROMINENT_SHARE = 0.03;  // a swara counts as prominent with at least 3% of the voiced time
+const HEARD_SHARE = 0.01;      // and as sounded at all with 1%
+
+// Decode a RIFF/WAVE buffer (PCM 8/16/24/32-bit or 32/64-bit float, any channel count) to mono floats.
+export function decodeWav(buffer) {
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+  let fmt = null;
+  let data = null;
+  for (let pos = 12; pos + 8 <= buf.length;) {
+    const id = buf.toString('ascii', pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    const body = pos + 8;
+    if (id === 'fmt ') {
+      let format = buf.readUInt16LE(body);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (format === 0xfffe && size >= 26) format = buf.readUInt16LE(body + 24);
+      fmt = {
+        format,
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        bitsPerSample: buf.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      data = buf.subarray(body, Math.min(buf.length, body + size));
+    }
+    pos = body + size + (size % 2);
+  }
+  if (!fmt) throw new Error('WAV has no fmt chunk');
+  if (!data) throw new Error('WAV has no data chunk');
+  const encoding = fmt.format === 3 ? `f${fmt.bitsPerSample}` : fmt.format === 1 ? `s${fmt.bitsPerSample}` : null;
+  if (!encoding) throw new Error(`Unsupported WAV format ${fmt.format}`);
+  return { sampleRate: fmt.sampleRate, samples: decodePcm(data, encoding, fmt.channels) };
+}
+
+// Headerless little-endian PCM. encoding: s8 (unsigned 8-bit, as in WAV), s16, s24, s32, f32, f64
+export function decodePcm(buffer, encoding = 's16', channels = 1) {
+  const readers = {
+    s8: [1, (b, o) => (b.readUInt8(o) - 128) / 128],
+    s16: [2, (b, o) => b.readInt16LE(o) / 32768],
+    s24: [3, (b, o) => b.readIntLE(o, 3) / 8388608],
+    s32: [4, (b, o) => b.readInt32LE(o) / 2147483648],
+    f32: [4, (b, o) => b.readFloatLE(o)],
+    f64: [8, (b, o) => b.readDoubleLE(o)]
+  };
+  const reader = readers[encoding];
+  if (!reader) throw new Error(`Unsupported PCM encoding ${encoding}`);
+  const [width, read] = reader;
+  const ch = Math.max(1, channels | 0);
+  const frames = Math.floor(buffer.length / (width * ch));
+  const out = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < ch; c++) sum += read(buffer, (i * ch + c) * width);
+    out[i] = sum / ch;
+  }
+  return out;
+}
+
+// Box-filter decimation to roughly ANALYSIS_RATE; good enough for a fundamental under 1 kHz
+function downsample(samples, sampleRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE));
+  const limit = Math.min(samples.length, Math.floor(MAX_SECONDS * sampleRate));
+  if (factor === 1) return { samples: samples.subarray(0, limit), rate: sampleRate };
+  const out = new Float32Array(Math.floor(limit / factor));
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (let k = 0; k < factor; k++) sum += samples[i * factor + k];
+    out[i] = sum / factor;
+  }
+  return { samples: out, rate: sampleRate / factor };
+}
+
+// YIN fundamental estimate for one frame; returns { hz, confidence } or null when unvoiced
+function yin(frame, rate, diff) {
+  const maxLag = Math.min(diff.length - 1, Math.floor(rate / MIN_HZ));
+  const minLag = Math.max(2, Math.floor(rate / MAX_HZ));
+  const w = frame.length - maxLag;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i < w; i++) {
+      const d = frame[i] - frame[i + lag];
+      sum += d * d;
+    }
+    diff[lag] = sum;
+  }
+  // cumulative mean normalised difference
+  let running = 0;
+  diff[0] = 1;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    running += diff[lag];
+    diff[lag] = running ? diff[lag] * lag / running : 1;
+  }
+  let lag = -1;
+  for (let t = minLag; t <= maxLag; t++) {
+    if (diff[t] < YIN_THRESHOLD) {
+      while (t + 1 <= maxLag && diff[t + 1] < diff[t]) t++;
+      lag = t;
+      break;
+    }
+  }
+  if (lag === -1) return null;
+  // parabolic interpolation around the dip
+  const a = diff[lag - 1], b = diff[lag], c = lag + 1 <= maxLag ? diff[lag + 1] : b;
+  const denom = a + c - 2 * b;
+  const exact = denom ? lag + (a - c) / (2 * denom) : lag;
+  return { hz: rate / exact, confidence: 1 - b };
+}
+
+// Frame-by-frame pitch track: [{ time, hz, midi, confidence }] for voiced frames only
+export function trackPitch(samples, sampleRate) {
+  const { samples: x, rate } = downsample(samples, sampleRate);
+  const diff = new Float64Array(Math.floor(rate / MIN_HZ) + 2);
+  let peak = 0;
+  for (let i = 0; i < x.length; i++) peak = Math.max(peak, Math.abs(x[i]));
+  const gate = peak * 0.05;
+  const track = [];
+  for (let start = 0; start + FRAME <= x.length; start += HOP) {
+    const frame = x.subarray(start, start + FRAME);
+    let energy = 0;
+    for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i];
+    if (Math.sqrt(energy / frame.length) < gate) continue;
+    const p = yin(frame, rate, diff);
+    if (!p || p.hz < MIN_HZ || p.hz > MAX_HZ) continue;
+    track.push({ time: start / rate, hz: p.hz, midi: 69 + 12 * Math.log2(p.hz / 440), confidence: p.confidence });
+  }
+  return { track, analyzedSeconds: x.length / rate };
+}
+
+// Drone evidence: per pitch class, how much of every stretch of the recording it fills. Each DRONE_FRAME
+// window gets a chroma vector (Goertzel power at the semitones C3-B5, folded to 12 classes, as shares
+// of the window); a class's floor is its DRONE_PERCENTILE share over the windows. A tanpura's Sa and
+// Pa sound through every window, melody notes come and go, so only the drone keeps a floor. Returns
+// each class's share of the floors, damped by DRONE_NOISE so a recording without a drone gives ~0.
+const DRONE_FRAME = 4096;
+const DRONE_PERCENTILE = 0.1;
+const DRONE_MIDI = [48, 84];
+const DRONE_NOISE = 0.005;
+export function droneChroma(samples, sampleRate) {
+  const { samples: x, rate } = downsample(samples, sampleRate);
+  const coeffs = [];
+  for (let m = DRONE_MIDI[0]; m < DRONE_MIDI[1]; m++) coeffs.push(2 * Math.cos((2 * Math.PI * 440 * Math.pow(2, (m - 69) / 12)) / rate));
+  const hann = new Float32Array(DRONE_FRAME).map((_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (DRONE_FRAME - 1)));
+  const frames = [];
+  for (let start = 0; start + DRONE_FRAME <= x.length; start += DRONE_FRAME) {
+    const chroma = new Array(12).fill(0);
+    coeffs.forEach((k, b) => {
+      let s1 = 0, s2 = 0;
+      for (let i = 0; i < DRONE_FRAME; i++) {
+        const s0 = x[start + i] * hann[i] + k * s1 - s2;
+        s2 = s1;
+        s1 = s0;
+      }
+      chroma[(DRONE_MIDI[0] + b) % 12] += s1 * s1 + s2 * s2 - k * s1 * s2;
+    });
+    const total = chroma.reduce((a, v) => a + v, 0);
+    if (total > 0) frames.push(chroma.map(v => v / total));
+  }
+  if (!frames.length) return new Array(12).fill(0);
+  const floors = [...Array(12).keys()].map(pc => {
+    const shares = frames.map(f => f[pc]).sort((a, b) => a - b);
+    return shares[Math.floor(DRONE_PERCENTILE * (shares.length - 1))];
+  });
+  const total = floors.reduce((a, v) => a + v, 0) + DRONE_NOISE;
+  return floors.map(v => v / total);
+}
+
+// Global tuning offset in cents (-50..50) of the track against the A440 grid, from the circular mean
+function tuningOffset(track) {
+  let s = 0, c = 0;
+  track.forEach(f => {
+    const angle = 2 * Math.PI * (f.midi - Math.round(f.midi));
+    s += Math.sin(angle) * f.confidence;
+    c += Math.cos(angle) * f.confidence;
+  });
+  return Math.round((Math.atan2(s, c) / (2 * Math.PI)) * 100);
+}
+
+// 12-bin histogram of absolute pitch classes (C = 0) after removing the tuning offset
+function absoluteHistogram(track, cents) {
+  const hist = new Array(12).fill(0);
+  track.forEach(f => {
+    const pc = ((Math.round(f.midi - cents / 100) % 12) + 12) % 12;
+    hist[pc] += f.confidence;
+  });
+  return normalize(hist);
+}
+
+const normalize = (h) => {
+  const total = h.reduce((s, v) => s + v, 0);
+  return total ? h.map(v => v / total) : h;
+};
+
+const cosine = (a, b) => {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < 12; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+};
+
+// Expected swara weights for a raga: its notes, with Sa and Pa (the drone notes) emphasised. Vadi and
+// samvadi stay out: only some ragas list them, and a template built from them would score those
+// ragas on a different scale from the rest.
+function ragaTemplate(raga) {
+  return raga.notePattern.map((v, i) => {
+    if (!v) return 0;
+    if (i === 0) return 2;
+    if (i === 7) return 1.5;
+    return 1;
+  });
+}
+
+// Similarity of a Sa-relative histogram to a raga: the cosine against its template, scaled down by
+// the share of energy on notes outside the raga and by the share of the raga's swaras the recording
+// never sounds (a raga with both Ma should not tie with one that has only the Ma that was sung)
+export function compareHistogram(histogram, raga) {
+  const outside = histogram.reduce((s, v, i) => s + (raga.notePattern[i] ? 0 : v), 0);
+  const swaras = raga.notePattern.reduce((n, v) => n + (v ? 1 : 0), 0);
+  const heard = raga.notePattern.reduce((n, v, i) => n + (v && histogram[i] >= HEARD_SHARE ? 1 : 0), 0);
+  const coverage = swaras ? heard / swaras : 0;
+  return { similarity: cosine(histogram, ragaTemplate(raga)) * (1 - outside) * coverage, outside, coverage };
+}
+
+// Tonic: the rotation whose Sa-relative histogram best fits some raga, weighted toward a strong Sa
+// and Pa in the melody and, more heavily, in the drone (droneChroma), which a melody dwelling on Ga
+// cannot outweigh. A known tonic pitch class can be passed to skip the search.
+function estimateTonic(absHist, drone, ragas, knownTonic = null) {
+  const candidates = knownTonic === null ? [...Array(12).keys()] : [knownTonic];
+  let best = null;
+  candidates.forEach(t => {
+    const rel = absHist.map((_, i) => absHist[(i + t) % 12]);
+    const fit = ragas.reduce((m, r) => Math.max(m, compareHistogram(rel, r).similarity), 0);
+    const score = fit * (1 + rel[0] + 0.5 * rel[7] + 3 * (drone[t] + 0.5 * drone[(t + 7) % 12]));
+    if (!best || score > best.score) best = { pitchClass: t, score, histogram: rel };
+  });
+  return best;
+}
+
+// Full pipeline: decoded samples -> tonic, Sa-relative histogram, prominent swaras, ranked ragas
+export function analyzeRecording(samples, sampleRate, ragas, { tonic = null, limit = 10 } = {}) {
+  const { track, analyzedSeconds } = trackPitch(samples, sampleRate);
+  if (track.length < 5) return { error: 'No clear pitch found in the recording' };
+  const cents = tuningOffset(track);
+  const absHist = absoluteHistogram(track, cents);
+  const est = estimateTonic(absHist, tonic === null ? droneChroma(samples, sampleRate) : new Array(12).fill(0), ragas, tonic);
+
+  // octave of Sa: the median octave of frames on the tonic pitch class
+  const saMidis = track
+    .map(f => Math.round(f.midi - cents / 100))
+    .filter(m => ((m % 12) + 12) % 12 === est.pitchClass)
+    .sort((a, b) => a - b);
+  const saMidi = saMidis.length ? saMidis[Math.floor(saMidis.length / 2)] : 48 + est.pitchClass;
+
+  const histogram = est.histogram.map(v => Math.round(v * 1000) / 1000);
+  const prominent = histogram.map((v, i) => v >= PROMINENT_SHARE ? i : null).filter(v => v !== null);
+
+  const candidates = ragas
+    .map(r => {
+      const { similarity, outside, coverage } = compareHistogram(est.histogram, r);
+      return {
+        name: r.name,
+        similarity: Math.round(similarity * 1000) / 1000,
+        outsideShare: Math.round(outside * 1000) / 1000,
+        coverage: Math.round(coverage * 1000) / 1000,
+        missingSwaras: r.notePattern.map((v, i) => v && !prominent.includes(i) ? swarNames[i] : null).filter(Boolean),
+        extraSwaras: prominent.filter(i => !r.notePattern[i]).map(i => swarNames[i])
+      };
+    })
+    .sort((a, b) => b.similarity - a.similarity || a.name.localeCompare(b.name))
+    .slice(0, limit);
+
+  return {
+    sampleRate,
+    durationSeconds: Math.round((samples.length / sampleRate) * 100) / 100,
+    analyzedSeconds: Math.round(analyzedSeconds * 100) / 100,
+    voicedFrames: track.length,
+    tonic: {
+      pitchClass: est.pitchClass,
+      name: westernNotesSharp[est.pitchClass],
+      frequency: Math.round(440 * Math.pow(2, (saMidi + cents / 100 - 69) / 12) * 100) / 100,
+      tuningCents: cents,
+      estimated: tonic === null
+    },
+    histogram,
+    prominentSwaras: prominent.map(i => swarNames[i]),
+    candidates
+  };
+}
@@ -0,0 +1,131 @@
+// Reverse chord lookup: start from a song's chords (Western symbols such as Am, F, G7/B or pitch-class
+// sets) and find every raga and tonic in which all of them fit, the inverse of /custom-matches.
+
+import {
+  swarNames,
+  westernNotesFlat,
+  chordTypes,
+  countSwaras,
+  identifyChord,
+  chordLabel
+} from './raga-theory.js';
+
+const NOTE_LETTERS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Common ways of writing a chord symbol -> the registry's symbol
+const SYMBOL_ALIASES = {
+  M: '', maj: '', min: 'm', mi: 'm', '-': 'm',
+  '°': 'dim', o: 'dim', '+': 'aug', sus: 'sus4',
+  M7: 'maj7', ma7: 'maj7', 'Δ': 'maj7', 'Δ7': 'maj7', min7: 'm7', '-7': 'm7', dom7: '7',
+  '°7': 'dim7', o7: 'dim7', 'ø': 'm7♭5', 'ø7': 'm7♭5', '-7♭5': 'm7♭5',
+  mM7: 'm(maj7)', mMaj7: 'm(maj7)', 'm(M7)': 'm(maj7)', madd9: 'm(add9)',
+  '69': '6/9', m69: 'm6/9', M9: 'maj9', min9: 'm9', min11: 'm11', M13: 'maj13', min13: 'm13',
+  '+7': '7♯5', aug7: '7♯5', 'M7♯11': 'maj7♯11', alt: '7alt'
+};
+
+const PARTS = [['aaroh', 'aarohPattern'], ['avroh', 'avrohPattern'], ['all', 'notePattern']];
+
+// 'C', 'F#', 'Bb', 'E♭' -> pitch class, or null
+function parseNoteName(text) {
+  const m = /^([A-Ga-g])([#♯b♭]?)$/.exec(text);
+  if (!m) return null;
+  const shift = m[2] === '#' || m[2] === '♯' ? 1 : m[2] ? -1 : 0;
+  return (NOTE_LETTERS[m[1].toUpperCase()] + shift + 12) % 12;
+}
+
+// A chord symbol (Am, F#m7♭5, G7/B, C6/9) against the registry types. Returns { root, bass, type,
+// pitchClasses } with pitch classes from C, or { error }.
+export function parseChordSymbol(text, types = chordTypes) {
+  const raw = String(text || '').trim();
+  const m = /^([A-G])([#♯b♭]?)(.*)$/.exec(raw);
+  if (!m) return { error: `${raw || '(empty)'} is not a chord symbol` };
+  const root = parseNoteName(m[1] + m[2]);
+  let suffix = m[3];
+  let bass = null;
+  // a trailing /note is the bass; 6/9 is part of the quality
+  const slash = /\/([A-G][#♯b♭]?)$/.exec(suffix);
+  if (slash) {
+    bass = parseNoteName(slash[1]);
+    suffix = suffix.slice(0, slash.index);
+  }
+  suffix = suffix.replace(/b(?=\d)/g, '♭').replace(/#(?=\d)/g, '♯');
+  const symbol = Object.prototype.hasOwnProperty.call(SYMBOL_ALIASES, suffix) ? SYMBOL_ALIASES[suffix] : suffix;
+  const type = types.find(t => t.symbol === symbol) || types.find(t => t.id === suffix);
+  if (!type) return { error: `Unknown chord quality "${m[3]}" in ${raw}` };
+  const pitchClasses = [...new Set(type.intervals.map(x => (root + x) % 12))];
+  if (bass !== null && !pitchClasses.includes(bass)) pitchClasses.push(bass);
+  return { root, bass, type, pitchClasses };
+}
+
+// One entry of the chord list: a symbol, a '9-0-4' string or an array of pitch classes from C
+export function parseChordInput(input, types = chordTypes) {
+  const asSet = Array.isArray(input)
+    ? input
+    : /^\d+(\s*[-\s]\s*\d+)+$/.test(String(input).trim()) ? String(input).trim().split(/[-\s]+/).map(Number) : null;
+  if (asSet) {
+    if (!asSet.every(v => Number.isInteger(v) && v >= 0)) return { error: `${JSON.stringify(input)} must be whole pitch classes (C = 0)` };
+    const pitchClasses = [...new Set(asSet.map(v => v % 12))];
+    if (pitchClasses.length < 2) return { error: `${JSON.stringify(input)} needs at least two pitch classes` };
+    return { input, root: null, bass: null, type: null, pitchClasses };
+  }
+  const parsed = parseChordSymbol(input, types);
+  return parsed.error ? parsed : { input, ...parsed };
+}
+
+// How a chord reads in the raga once Sa is fixed at tonic
+function chordInRaga(chord, tonic, types) {
+  const rel = chord.pitchClasses.map(p => (p - tonic + 12) % 12);
+  const relRoot = chord.root === null ? null : (chord.root - tonic + 12) % 12;
+  const relBass = chord.bass === null ? relRoot : (chord.bass - tonic + 12) % 12;
+  const named = identifyChord(rel, relBass, { types });
+  return {
+    input: chord.input,
+    swaras: rel.map(p => swarNames[p]),
+    ...(named ? { name: chordLabel(named) } : {})
+  };
+}
+
+// Every raga x tonic where all the chords fit, per part (aaroh, avroh, all). Ranked by coverage, the
+// share of the part's swaras the chords sound, then by the fewest swaras left unused.
+// inputs: chord symbols, '9-0-4' strings or pitch-class arrays. Returns { chords, aaroh, avroh, all,
+// totals } or { errors: [{ index, message }] }.
+export function findRagasForChords(ragas, inputs, { types = chordTypes, limit = 50 } = {}) {
+  const chords = inputs.map(input => parseChordInput(input, types));
+  const errors = chords.map((c, index) => (c.error ? { index, message: c.error } : null)).filter(Boolean);
+  if (!inputs.length) errors.push({ index: 0, message: 'Provide at least one chord' });
+  if (errors.length) return { errors };
+
+  const union = [...new Set(chords.flatMap(c => c.pitchClasses))];
+  const found = { aaroh: [], avroh: [], all: [] };
+  ragas.forEach(raga => {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const rel = union.map(p => (p - tonic + 12) % 12);
+      PARTS.forEach(([part, key]) => {
+        const pattern = raga[key];
+        if (!pattern || !rel.every(p => pattern[p])) return;
+        const size = countSwaras(pattern);
+        found[part].push({
+          name: raga.name,
+          ...(raga.number ? { number: raga.number } : {}),
+          tonic: { pitchClass: tonic, name: westernNotesFlat[tonic] },
+          coverage: Math.round((rel.length / size) * 1000) / 1000,
+          unused: pattern.map((v, i) => (v && !rel.includes(i) ? swarNames[i] : null)).filter(Boolean),
+          chords: chords.map(c => chordInRaga(c, tonic, types))
+        });
+      });
+    }
+  });
+
+  const rank = (a, b) => b.coverage - a.coverage || a.unused.length - b.unused.length || a.name.localeCompare(b.name) || a.tonic.pitchClass - b.tonic.pitchClass;
+  return {
+    chords: chords.map(c => ({
+      input: c.input,
+      notes: c.pitchClasses.map(p => westernNotesFlat[p]),
+      ...(c.type ? { type: c.type.id } : {})
+    })),
+    aaroh: found.aaroh.sort(rank).slice(0, limit),
+    avroh: found.avroh.sort(rank).slice(0, limit),
+    all: found.all.sort(rank).slice(0, limit),
+    totals: { aaroh: found.aaroh.length, avroh: found.avroh.length, all: found.all.length }
+  };
+}
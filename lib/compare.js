@@ -0,0 +1,151 @@
+// Side-by-side comparison of two or three ragas: which swaras each part shares or keeps to itself,
+// how the aaroh/avroh sequences differ (vakra turns included), the chords they share and whether one
+// scale is a murchanna (a rotation) of another.
+
+import {
+  swarNames,
+  chordTypes,
+  parseNotation,
+  rotatePattern,
+  patternToString,
+  availableChordsForPattern,
+  attachWesternNames,
+  chordLabel
+} from './raga-theory.js';
+
+const PARTS = [['aaroh', 'aarohPattern'], ['avroh', 'avrohPattern'], ['all', 'notePattern']];
+
+// The written aaroh/avroh as { pc, octave } steps. Ragas without notation (the melakartas, scales
+// saved from the builder) walk their pattern straight up to Sa' and back down.
+export function ragaSequence(raga, part) {
+  const text = part === 'aaroh' ? raga.aarohNotation : raga.avrohNotation;
+  if (text) {
+    return parseNotation(text).matras.flatMap(m => m.swaras.map(s => ({ pc: s.pc, octave: s.octave })));
+  }
+  const pattern = part === 'aaroh' ? raga.aarohPattern : raga.avrohPattern;
+  const up = pattern.map((v, pc) => (v ? { pc, octave: 0 } : null)).filter(Boolean);
+  const full = [...up, { pc: 0, octave: 1 }];
+  return part === 'aaroh' ? full : full.reverse();
+}
+
+const stepName = (s) => `${swarNames[s.pc]}${s.octave > 0 ? "'".repeat(s.octave) : s.octave < 0 ? '.'.repeat(-s.octave) : ''}`;
+const position = (s) => s.pc + 12 * s.octave;
+
+// Steps against the direction of the part: a fall inside the aaroh, a rise inside the avroh
+export function vakraSteps(sequence, part) {
+  const steps = [];
+  for (let i = 1; i < sequence.length; i++) {
+    const move = position(sequence[i]) - position(sequence[i - 1]);
+    if ((part === 'aaroh' && move < 0) || (part === 'avroh' && move > 0)) {
+      steps.push({ index: i, from: stepName(sequence[i - 1]), to: stepName(sequence[i]) });
+    }
+  }
+  return steps;
+}
+
+// Longest-common-subsequence diff of two sequences: [{ swara, in: 'both' | 'first' | 'second' }]
+function diffSequences(a, b) {
+  const key = (s) => `${s.pc}:${s.octave}`;
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = key(a[i]) === key(b[j]) ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && key(a[i]) === key(b[j])) {
+      out.push({ swara: stepName(a[i]), in: 'both' });
+      i++; j++;
+    } else if (j >= b.length || (i < a.length && table[i + 1][j] >= table[i][j + 1])) {
+      out.push({ swara: stepName(a[i]), in: 'first' });
+      i++;
+    } else {
+      out.push({ swara: stepName(b[j]), in: 'second' });
+      j++;
+    }
+  }
+  return out;
+}
+
+// Shared and per-raga members of sets given as arrays of keys, with a label for each key
+function splitSets(names, sets, label) {
+  const shared = [...sets[0]].filter(k => sets.every(s => s.has(k)));
+  const unique = Object.fromEntries(names.map((name, i) => [
+    name,
+    [...sets[i]].filter(k => sets.every((s, j) => j === i || !s.has(k))).map(label)
+  ]));
+  return { shared: shared.map(label), unique };
+}
+
+// Scale B as a murchanna of scale A: B is A's scale played from A's swara `from`.
+// Same swaras come back as from Sa.
+function murchannaOf(a, b) {
+  const target = patternToString(b.notePattern);
+  for (let from = 0; from < 12; from++) {
+    if (!a.notePattern[from]) continue;
+    if (patternToString(rotatePattern(a.notePattern, 12 - from)) === target) {
+      return { from: swarNames[from], pitchClass: from, sameSwaras: from === 0 };
+    }
+  }
+  return null;
+}
+
+const chordKey = (c) => `${c.root}:${c.type.id || c.type.name}${c.extendedType ? `:${c.extendedType.id}` : ''}`;
+
+// ragas: two or three raga records. options: types (chord type registry), extend, tonic (adds the
+// western chord names)
+export function compareRagas(ragas, { types = chordTypes, extend = false, tonic = null } = {}) {
+  const names = ragas.map(r => r.name);
+  const sequences = ragas.map(r => ({ aaroh: ragaSequence(r, 'aaroh'), avroh: ragaSequence(r, 'avroh') }));
+
+  const swaras = Object.fromEntries(PARTS.map(([part, key]) => [
+    part,
+    splitSets(names, ragas.map(r => new Set(r[key].map((v, pc) => (v ? pc : null)).filter(pc => pc !== null))), pc => swarNames[pc])
+  ]));
+
+  const chords = Object.fromEntries(PARTS.map(([part, key]) => {
+    const lists = ragas.map(r => {
+      const found = availableChordsForPattern(r[key], 'all', extend, { types });
+      return tonic === null ? found : attachWesternNames(found, tonic);
+    });
+    const byKey = new Map(lists.flat().map(c => [chordKey(c), c]));
+    const describe = (k) => {
+      const c = byKey.get(k);
+      return { root: c.root, type: c.type.id, notes: c.notes, name: chordLabel(c), ...(c.westernName ? { westernName: c.westernName } : {}) };
+    };
+    return [part, splitSets(names, lists.map(list => new Set(list.map(chordKey))), describe)];
+  }));
+
+  const pairs = [];
+  for (let i = 0; i < ragas.length; i++) {
+    for (let j = i + 1; j < ragas.length; j++) {
+      pairs.push({
+        ragas: [names[i], names[j]],
+        aaroh: diffSequences(sequences[i].aaroh, sequences[j].aaroh),
+        avroh: diffSequences(sequences[i].avroh, sequences[j].avroh),
+        // the relation read from each side: j from i's swara, and i from j's
+        murchanna: murchannaOf(ragas[i], ragas[j]),
+        reverseMurchanna: murchannaOf(ragas[j], ragas[i])
+      });
+    }
+  }
+
+  return {
+    ragas: ragas.map((r, i) => ({
+      name: r.name,
+      ...(r.number ? { number: r.number } : {}),
+      ...(r.source ? { source: r.source } : {}),
+      aaroh: sequences[i].aaroh.map(stepName),
+      avroh: sequences[i].avroh.map(stepName),
+      // steps with octaves for playback
+      aarohSteps: sequences[i].aaroh,
+      avrohSteps: sequences[i].avroh,
+      vakra: { aaroh: vakraSteps(sequences[i].aaroh, 'aaroh'), avroh: vakraSteps(sequences[i].avroh, 'avroh') }
+    })),
+    swaras,
+    chords,
+    pairs
+  };
+}
@@ -0,0 +1,246 @@
+// CSV-backed raga data for the server side (Express and the Netlify function).
+// Each caller passes the directory holding the CSVs; parsed results are cached per store. What users
+// save (chord types, the library) goes to a directory of its own that is never served as static files.
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { parseAarohAvrohCSV, parseMelakartaCSV, parseJanyaCSV, chordTypes, makeUserChordType } from './raga-theory.js';
+import { DEFAULT_USER, makeUserRaga, makeProgression } from './library.js';
+import { validateRagaData } from './validate.js';
+
+export const HINDUSTANI_CSV = 'aarohavroha.csv';
+export const MELAKARTA_CSV = 'melakarta_72.csv';
+// Carnatic janya ragas with their parent melakarta
+export const JANYA_CSV = 'janya_ragas.csv';
+// chord types saved from the Custom Chord Builder, written to the user data directory
+export const USER_CHORD_TYPES_JSON = 'user-chord-types.json';
+// custom ragas and progressions per user: { [user]: { ragas: [], progressions: [] } }
+export const USER_LIBRARY_JSON = 'user-library.json';
+
+// The user data directory: $USER_DATA_DIR, or data/ under the CSV directory
+export function userDataDir(dataDir) {
+  return process.env.USER_DATA_DIR ? path.resolve(process.env.USER_DATA_DIR) : path.join(dataDir, 'data');
+}
+
+// userDir: where the user files are read and written (default: userDataDir(dataDir))
+export function createRagaStore(dataDir, { userDir = userDataDir(dataDir) } = {}) {
+  let ragaCache = null;
+  let melakartaCache = null;
+  let janyaCache = null;
+
+  const readCSV = (fileName, parse) => {
+    try {
+      const text = fs.readFileSync(path.join(dataDir, fileName), 'utf8');
+      return parse(text);
+    } catch (e) {
+      console.error(`Failed to read ${fileName}, falling back to an empty list`, e);
+      return [];
+    }
+  };
+
+  function getRagas() {
+    if (!ragaCache) ragaCache = readCSV(HINDUSTANI_CSV, parseAarohAvrohCSV);
+    return ragaCache;
+  }
+
+  function getMelakartas() {
+    if (!melakartaCache) melakartaCache = readCSV(MELAKARTA_CSV, parseMelakartaCSV);
+    return melakartaCache;
+  }
+
+  function getJanyas() {
+    if (!janyaCache) janyaCache = readCSV(JANYA_CSV, text => parseJanyaCSV(text, getMelakartas()));
+    return janyaCache;
+  }
+
+  // Hindustani CSV ragas first, then the janyas; with a user, that user's saved ragas too
+  function findRaga(name, user = null) {
+    const target = String(name || '').toLowerCase();
+    return getRagas().find(x => x.name.toLowerCase() === target)
+      || getJanyas().find(x => x.name.toLowerCase() === target)
+      || (user ? getUserRagas(user).find(x => x.name.toLowerCase() === target) || null : null);
+  }
+
+  // The CSV ragas followed by the user's own
+  function getRagasFor(user) {
+    return [...getRagas(), ...getUserRagas(user)];
+  }
+
+  // ---- user chord types ----
+
+  let userTypesCache = null;
+  const userTypesPath = path.join(userDir, USER_CHORD_TYPES_JSON);
+
+  function getUserChordTypes() {
+    if (!userTypesCache) {
+      try {
+        const saved = JSON.parse(fs.readFileSync(userTypesPath, 'utf8'));
+        userTypesCache = Array.isArray(saved) ? saved : [];
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.error(`Failed to read ${USER_CHORD_TYPES_JSON}, starting with none`, e);
+        userTypesCache = [];
+      }
+    }
+    return userTypesCache;
+  }
+
+  // Built-in registry followed by the user's types
+  function getChordTypes() {
+    return [...chordTypes, ...getUserChordTypes()];
+  }
+
+  // Write-through; a read-only deployment (Netlify) keeps the change in memory for the warm instance
+  const saveUserChordTypes = (types) => {
+    userTypesCache = types;
+    try {
+      fs.mkdirSync(userDir, { recursive: true });
+      fs.writeFileSync(userTypesPath, JSON.stringify(types, null, 2));
+    } catch (e) {
+      console.error(`Failed to write ${USER_CHORD_TYPES_JSON}`, e);
+    }
+  };
+
+  // Returns the stored type, or { error } when the definition is invalid or its id is taken
+  function addUserChordType(input) {
+    const type = makeUserChordType(input, getChordTypes());
+    if (type.error) return type;
+    saveUserChordTypes([...getUserChordTypes(), type]);
+    return type;
+  }
+
+  function removeUserChordType(id) {
+    const current = getUserChordTypes();
+    if (!current.some(t => t.id === id)) return false;
+    saveUserChordTypes(current.filter(t => t.id !== id));
+    return true;
+  }
+
+  // ---- user library ----
+
+  let libraryCache = null;
+  const libraryPath = path.join(userDir, USER_LIBRARY_JSON);
+
+  function getLibrary() {
+    if (!libraryCache) {
+      try {
+        const saved = JSON.parse(fs.readFileSync(libraryPath, 'utf8'));
+        libraryCache = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.error(`Failed to read ${USER_LIBRARY_JSON}, starting empty`, e);
+        libraryCache = {};
+      }
+    }
+    return libraryCache;
+  }
+
+  // Write-through like the chord types; shelf replaces one user's entry
+  const saveShelf = (user, shelf) => {
+    libraryCache = { ...getLibrary(), [user]: shelf };
+    try {
+      fs.mkdirSync(userDir, { recursive: true });
+      fs.writeFileSync(libraryPath, JSON.stringify(libraryCache, null, 2));
+    } catch (e) {
+      console.error(`Failed to write ${USER_LIBRARY_JSON}`, e);
+    }
+  };
+
+  const shelfOf = (user) => getLibrary()[user] || { ragas: [], progressions: [] };
+
+  function getUserRagas(user = DEFAULT_USER) {
+    return shelfOf(user).ragas;
+  }
+
+  // Create (existing = null) or replace the raga named existing. Returns the stored raga, or
+  // { errors }, or { conflict } when the name is a CSV raga or another of the user's ragas.
+  function saveUserRaga(user, input, existing = null) {
+    const raga = makeUserRaga(input);
+    if (raga.errors) return raga;
+    const target = raga.name.toLowerCase();
+    if ([...getRagas(), ...getJanyas()].some(r => r.name.toLowerCase() === target)) return { conflict: `${raga.name} is already a raga in the database` };
+    const shelf = shelfOf(user);
+    const others = shelf.ragas.filter(r => r.name.toLowerCase() !== String(existing || '').toLowerCase());
+    if (others.some(r => r.name.toLowerCase() === target)) return { conflict: `You already have a raga named ${raga.name}` };
+    const now = new Date().toISOString();
+    const previous = existing ? shelf.ragas.find(r => r.name.toLowerCase() === existing.toLowerCase()) : null;
+    const stored = { ...raga, user, createdAt: previous ? previous.createdAt : now, updatedAt: now };
+    const ragas = previous ? shelf.ragas.map(r => (r === previous ? stored : r)) : [...shelf.ragas, stored];
+    saveShelf(user, { ...shelf, ragas });
+    return stored;
+  }
+
+  function removeUserRaga(user, name) {
+    const shelf = shelfOf(user);
+    const target = String(name || '').toLowerCase();
+    if (!shelf.ragas.some(r => r.name.toLowerCase() === target)) return false;
+    saveShelf(user, { ...shelf, ragas: shelf.ragas.filter(r => r.name.toLowerCase() !== target) });
+    return true;
+  }
+
+  function getProgressions(user = DEFAULT_USER) {
+    return shelfOf(user).progressions;
+  }
+
+  function findProgression(user, id) {
+    return getProgressions(user).find(p => p.id === id) || null;
+  }
+
+  // Create (id = null) or replace progression id. Returns the stored progression or { errors }.
+  function saveProgression(user, input, id = null) {
+    const progression = makeProgression(input);
+    if (progression.errors) return progression;
+    const shelf = shelfOf(user);
+    const now = new Date().toISOString();
+    const previous = id ? shelf.progressions.find(p => p.id === id) : null;
+    const stored = { id: previous ? previous.id : randomUUID(), ...progression, user, createdAt: previous ? previous.createdAt : now, updatedAt: now };
+    const progressions = previous ? shelf.progressions.map(p => (p === previous ? stored : p)) : [...shelf.progressions, stored];
+    saveShelf(user, { ...shelf, progressions });
+    return stored;
+  }
+
+  function removeProgression(user, id) {
+    const shelf = shelfOf(user);
+    if (!shelf.progressions.some(p => p.id === id)) return false;
+    saveShelf(user, { ...shelf, progressions: shelf.progressions.filter(p => p.id !== id) });
+    return true;
+  }
+
+  // ---- data checks ----
+
+  // The data-quality report for the three CSVs as they are on disk now (lib/validate.js)
+  function validateData() {
+    const read = (fileName) => {
+      try {
+        return fs.readFileSync(path.join(dataDir, fileName), 'utf8');
+      } catch (e) {
+        return null;
+      }
+    };
+    return validateRagaData(
+      { hindustani: read(HINDUSTANI_CSV), melakarta: read(MELAKARTA_CSV), janya: read(JANYA_CSV) },
+      { hindustani: HINDUSTANI_CSV, melakarta: MELAKARTA_CSV, janya: JANYA_CSV }
+    );
+  }
+
+  return {
+    dataDir,
+    userDir,
+    getRagas,
+    getMelakartas,
+    getJanyas,
+    findRaga,
+    getRagasFor,
+    getChordTypes,
+    getUserChordTypes,
+    addUserChordType,
+    removeUserChordType,
+    getUserRagas,
+    saveUserRaga,
+    removeUserRaga,
+    getProgressions,
+    findProgression,
+    saveProgression,
+    removeProgression,
+    validateData
+  };
+}
@@ -0,0 +1,110 @@
+// Seeded chord progression generator for a raga. Chords come from the raga's own chord lists and are
+// chained by a rule-weighted Markov walk: strong root motion, the vadi and samvadi, and few outside
+// notes are favoured, the walk opens on Sa and cadences back to a chord holding Sa.
+
+import {
+  chordTypes,
+  availableChordsForPattern,
+  availableChordsAllowingOutside,
+  attachWesternNames
+} from './raga-theory.js';
+
+// Where each chord draws its notes from. 'arc' rises through the aaroh and returns through the avroh.
+export const generatorParts = ['all', 'aaroh', 'avroh', 'arc'];
+
+// Transition weight by root interval class (0-6): fifths/fourths first, then steps and thirds
+const ROOT_MOTION_WEIGHT = [0.2, 1.5, 2, 1.5, 1.5, 3, 0.5];
+
+// mulberry32: small, fast and identical in every JS engine, so a seed reproduces a progression anywhere
+export function seededRandom(seed) {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Integers are used as they are; any other seed (a word, say) is hashed
+function hashSeed(seed) {
+  if (Number.isInteger(seed)) return seed >>> 0;
+  let h = 2166136261;
+  for (const ch of String(seed)) h = Math.imul(h ^ ch.codePointAt(0), 16777619);
+  return h >>> 0;
+}
+
+export const randomSeed = () => Math.floor(Math.random() * 2147483647);
+
+function pickWeighted(items, weights, random) {
+  const total = weights.reduce((s, w) => s + w, 0);
+  let r = random() * total;
+  for (let i = 0; i < items.length; i++) {
+    r -= weights[i];
+    if (r <= 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+const sameChord = (a, b) => a.root === b.root && a.notes.join() === b.notes.join();
+
+// raga: { notePattern, aarohPattern, avrohPattern, vadi?, samvadi? } (a melakarta or custom scale works too)
+// options: length, palette (chord type ids, default all), part, outside, maxOutside, extend, seed,
+// tonic (adds western names), types (chord type registry)
+export function generateProgression(raga, options = {}) {
+  const {
+    length = 4,
+    palette = null,
+    part = 'all',
+    outside = false,
+    maxOutside = 1,
+    extend = false,
+    seed = randomSeed(),
+    tonic = null,
+    types = chordTypes
+  } = options;
+  const allowed = palette && palette.length ? types.filter(t => palette.includes(t.id)) : types;
+  const typeOptions = { types: allowed };
+  const patterns = { all: raga.notePattern, aaroh: raga.aarohPattern || raga.notePattern, avroh: raga.avrohPattern || raga.notePattern };
+
+  const poolCache = {};
+  const pool = (which) => {
+    if (!poolCache[which]) {
+      let chords = availableChordsForPattern(patterns[which], 'all', extend, typeOptions);
+      if (outside) chords = chords.concat(availableChordsAllowingOutside(patterns[which], 'all', extend, 1, maxOutside, true, typeOptions));
+      poolCache[which] = chords;
+    }
+    return poolCache[which];
+  };
+  const partAt = (i) => (part === 'arc' ? (i < Math.ceil(length / 2) ? 'aaroh' : 'avroh') : part);
+
+  const random = seededRandom(seed);
+  const chords = [];
+  for (let i = 0; i < length; i++) {
+    const which = partAt(i);
+    const candidates = pool(which);
+    if (!candidates.length) return { error: `No ${which === 'all' ? '' : `${which} `}chords match the chosen palette`, seed };
+    const prev = chords[chords.length - 1];
+    const weights = candidates.map(c => {
+      let w = 1;
+      if (prev) {
+        const d = Math.abs(c.root - prev.chord.root) % 12;
+        w *= ROOT_MOTION_WEIGHT[Math.min(d, 12 - d)];
+        if (sameChord(c, prev.chord)) w *= 0.1;
+      }
+      if (Number.isInteger(raga.vadi) && c.notes.includes(raga.vadi)) w *= 1.5;
+      if (Number.isInteger(raga.samvadi) && c.notes.includes(raga.samvadi)) w *= 1.2;
+      w *= Math.pow(0.5, c.outsideCount || 0);
+      // open on Sa and come home to it
+      if (i === 0 || i === length - 1) {
+        if (c.root === 0) w *= 4;
+        else if (c.notes.includes(0)) w *= 2;
+        else w *= 0.3;
+      }
+      return w;
+    });
+    const chord = pickWeighted(candidates, weights, random);
+    chords.push({ index: i, part: which, chord: tonic !== null ? attachWesternNames([chord], tonic)[0] : chord });
+  }
+  return { seed, part, length, chords };
+}
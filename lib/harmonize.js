@@ -0,0 +1,158 @@
+// Melody harmonization within a raga. A swara line is cut into segments (a fixed number of beats or
+// one vibhag each), every segment gets candidate chords from the aaroh, avroh or whole scale depending
+// on which way the melody moves, and a beam search keeps the best-scoring chord plans.
+
+import {
+  swarNames,
+  parseNotation,
+  parseSwaraNote,
+  notationToEvents,
+  availableChordsForPattern,
+  availableChordsAllowingOutside,
+  attachWesternNames
+} from './raga-theory.js';
+
+const CANDIDATES_PER_SEGMENT = 12;
+const BEAM_WIDTH = 40;
+
+// Root motion by interval class (0-6): fourths/fifths and steps read as smooth, the tritone as a jolt
+const ROOT_MOTION = [0.05, 0.15, 0.2, 0.15, 0.15, 0.25, -0.1];
+
+// Melody as timed notes in beats: { pc, position (semitones from madhya Sa), start, duration, vibhag }.
+// Accepts Bhatkhande notation (one matra per beat) or [{ swara: 'G' | 0-11, octave?, duration? }].
+export function readMelody({ notation, notes } = {}) {
+  if (typeof notation === 'string' && notation.trim()) {
+    const parsed = parseNotation(notation);
+    if (parsed.errors.length) return { errors: parsed.errors };
+    const { events } = notationToEvents(parsed, 1);
+    return {
+      notes: events.map(e => ({
+        pc: e.pc,
+        position: e.pc + 12 * e.octave,
+        start: e.start,
+        duration: e.duration,
+        // matras last one beat each, so the event's start beat finds its matra
+        vibhag: parsed.matras[Math.floor(e.start)].vibhag
+      }))
+    };
+  }
+  if (Array.isArray(notes) && notes.length) {
+    const out = [];
+    let t = 0;
+    for (let i = 0; i < notes.length; i++) {
+      const n = notes[i] || {};
+      const pc = parseSwaraNote(n.swara);
+      if (pc === null) return { errors: [{ index: i, message: `Unknown swara ${n.swara}` }] };
+      const duration = Number(n.duration) > 0 ? Number(n.duration) : 1;
+      out.push({ pc, position: pc + 12 * (Number.isInteger(n.octave) ? n.octave : 0), start: t, duration, vibhag: 0 });
+      t += duration;
+    }
+    return { notes: out };
+  }
+  return { errors: [{ index: 0, message: 'Provide notation or notes' }] };
+}
+
+// Cut the melody into segments of `span` beats, or at vibhag bars when span is 'vibhag'
+function segmentMelody(notes, span) {
+  const segments = [];
+  notes.forEach(n => {
+    const key = span === 'vibhag' ? n.vibhag : Math.floor(n.start / span + 1e-9);
+    const last = segments[segments.length - 1];
+    if (last && last.key === key) last.notes.push(n);
+    else segments.push({ key, notes: [n] });
+  });
+  return segments.map(s => {
+    const start = s.notes[0].start;
+    const end = s.notes[s.notes.length - 1].start + s.notes[s.notes.length - 1].duration;
+    return { start, duration: end - start, notes: s.notes };
+  });
+}
+
+// Aaroh when the line only rises through the segment, avroh when it only falls, otherwise both.
+// The step into the segment counts, so a single note still has a direction.
+function segmentPart(segment, previous) {
+  const positions = [...(previous ? [previous.position] : []), ...segment.notes.map(n => n.position)];
+  let up = false, down = false;
+  for (let i = 1; i < positions.length; i++) {
+    if (positions[i] > positions[i - 1]) up = true;
+    if (positions[i] < positions[i - 1]) down = true;
+  }
+  if (up && !down) return 'aaroh';
+  if (down && !up) return 'avroh';
+  return 'all';
+}
+
+// How well a chord carries a segment: duration-weighted share of melody notes it contains, the
+// downbeat note counting double, plus the raga's vadi/samvadi, minus notes outside the raga
+function scoreChord(chord, segment, raga) {
+  const total = segment.notes.reduce((s, n) => s + n.duration, 0) + segment.notes[0].duration;
+  const held = segment.notes.reduce((s, n) => s + (chord.notes.includes(n.pc) ? n.duration : 0), 0)
+    + (chord.notes.includes(segment.notes[0].pc) ? segment.notes[0].duration : 0);
+  let score = held / total;
+  if (raga.vadi !== null && raga.vadi !== undefined && chord.notes.includes(raga.vadi)) score += 0.15;
+  if (raga.samvadi !== null && raga.samvadi !== undefined && chord.notes.includes(raga.samvadi)) score += 0.1;
+  score -= 0.3 * (chord.outsideCount || 0);
+  return score;
+}
+
+const rootMotion = (a, b) => {
+  const d = Math.abs(a.root - b.root) % 12;
+  return ROOT_MOTION[Math.min(d, 12 - d)];
+};
+
+// options: span (beats per chord, default 1, or 'vibhag'), plans (default 3), extend, outside,
+// maxOutside, tonic (adds western names), types
+export function harmonizeMelody(raga, melody, options = {}) {
+  const { span = 1, plans = 3, extend = false, outside = false, maxOutside = 1, tonic = null, types } = options;
+  const segments = segmentMelody(melody, span);
+  const patterns = { aaroh: raga.aarohPattern, avroh: raga.avrohPattern, all: raga.notePattern };
+  const typeOptions = types ? { types } : {};
+
+  const described = segments.map((seg, i) => {
+    const prevSeg = segments[i - 1];
+    const part = segmentPart(seg, prevSeg && prevSeg.notes[prevSeg.notes.length - 1]);
+    let pool = availableChordsForPattern(patterns[part], 'all', extend, typeOptions);
+    if (outside) pool = pool.concat(availableChordsAllowingOutside(patterns[part], 'all', extend, 1, maxOutside, true, typeOptions));
+    const candidates = pool
+      .map(chord => ({ chord, score: scoreChord(chord, seg, raga) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, CANDIDATES_PER_SEGMENT);
+    return { ...seg, part, candidates };
+  });
+
+  // beam search over segments; a plan's score is its chord scores plus root motion between them.
+  // A segment no chord fits (a sparse pentatonic part) is left without one.
+  let beam = [{ score: 0, picks: [] }];
+  described.forEach(seg => {
+    const next = [];
+    const options = seg.candidates.length ? seg.candidates : [{ chord: null, score: 0 }];
+    beam.forEach(plan => {
+      const last = [...plan.picks].reverse().find(p => p.chord);
+      options.forEach(c => {
+        const motion = last && c.chord ? rootMotion(last.chord, c.chord) : 0;
+        next.push({ score: plan.score + c.score + motion, picks: [...plan.picks, c] });
+      });
+    });
+    next.sort((a, b) => b.score - a.score);
+    beam = next.slice(0, BEAM_WIDTH);
+  });
+
+  const name = (chord) => (chord && tonic !== null ? attachWesternNames([chord], tonic)[0] : chord);
+  return {
+    segments: described.map(s => ({
+      start: s.start,
+      duration: s.duration,
+      part: s.part,
+      swaras: s.notes.map(n => swarNames[n.pc])
+    })),
+    plans: beam.slice(0, plans).map(plan => ({
+      score: Math.round((plan.score / Math.max(1, described.length)) * 1000) / 1000,
+      chords: plan.picks.map((p, i) => ({
+        start: described[i].start,
+        duration: described[i].duration,
+        score: Math.round(p.score * 1000) / 1000,
+        chord: name(p.chord)
+      }))
+    }))
+  };
+}
@@ -0,0 +1,128 @@
+// Raga identification from what was sung or played. Phrases are ranked against each raga's chalan
+// grammar: ascending steps are read against the aaroh chalan, descending steps against the avroh.
+
+import { swarNames, parseNotation, notationPitchClasses } from './raga-theory.js';
+
+// Step scores. A skipped swara is common in real phrases, so it costs less than a broken order.
+const STEP_SCORES = { repeat: 1, match: 1, vakra: 1, skip: 0.85, order: 0.4, forbidden: 0, outside: 0 };
+
+// Struck swaras of a phrase as absolute semitones from madhya Sa. Consecutive swaras written in the
+// same octave more than a tritone apart are taken the short way round (N-R-G means .N R G), since
+// most people leave out the mandra/taar marks; differently marked octaves are trusted as written.
+export function phrasePositions(parsed) {
+  const swaras = parsed.matras.flatMap(m => m.swaras);
+  const out = [];
+  let shift = 0; // octaves added so far by short-way-round corrections
+  swaras.forEach((s, i) => {
+    let pos = s.pc + 12 * s.octave + shift;
+    const prev = swaras[i - 1];
+    if (prev && prev.octave === s.octave) {
+      const last = out[out.length - 1];
+      while (pos - last > 6) pos -= 12;
+      while (last - pos > 6) pos += 12;
+      shift = pos - (s.pc + 12 * s.octave);
+    }
+    out.push(pos);
+  });
+  return out;
+}
+
+// Find b after a in a chalan read cyclically (the chalan returns to Sa, so N-S-R wraps around).
+// Returns the swaras skipped on the way, or null when b does not follow a within one pass.
+function followIn(sequence, a, b) {
+  if (!sequence.length) return null;
+  const ring = sequence[0] === sequence[sequence.length - 1] ? sequence.slice(0, -1) : sequence;
+  let best = null;
+  ring.forEach((pc, i) => {
+    if (pc !== a) return;
+    for (let k = 1; k <= ring.length; k++) {
+      if (ring[(i + k) % ring.length] === b) {
+        const skipped = [];
+        for (let j = 1; j < k; j++) skipped.push(ring[(i + j) % ring.length]);
+        if (!best || skipped.length < best.length) best = skipped;
+        break;
+      }
+    }
+  });
+  return best;
+}
+
+const adjacentIn = (sequence, a, b) => sequence.some((pc, i) => i > 0 && sequence[i - 1] === a && pc === b);
+
+function judgeStep(raga, from, to) {
+  const a = ((from % 12) + 12) % 12;
+  const b = ((to % 12) + 12) % 12;
+  const names = `${swarNames[a]}→${swarNames[b]}`;
+  if (from === to) return { verdict: 'repeat', explanation: `${swarNames[b]} repeated` };
+  if (!raga.notePattern[b]) return { verdict: 'outside', explanation: `${swarNames[b]} is not in ${raga.name}` };
+
+  const up = to > from;
+  const [dir, other] = up ? ['aaroh', 'avroh'] : ['avroh', 'aaroh'];
+  const chalan = up ? raga.aarohChalan : raga.avrohChalan;
+  const otherChalan = up ? raga.avrohChalan : raga.aarohChalan;
+  const pattern = up ? raga.aarohPattern : raga.avrohPattern;
+
+  if (adjacentIn(chalan, a, b)) return { verdict: 'match', explanation: `${names} follows the ${dir}` };
+  // a rising step inside the avroh (or falling inside the aaroh) is a vakra turn of that chalan
+  if (adjacentIn(otherChalan, a, b)) return { verdict: 'vakra', explanation: `${names} is a vakra turn in the ${other}` };
+  if (!pattern[b]) return { verdict: 'forbidden', explanation: `${swarNames[b]} is varjya in the ${dir}` };
+  const skipped = pattern[a] ? followIn(chalan, a, b) : null;
+  if (skipped && skipped.length) {
+    return { verdict: 'skip', explanation: `${names} follows the ${dir}, skipping ${skipped.map(pc => swarNames[pc]).join(', ')}`, skipped };
+  }
+  return { verdict: 'order', explanation: `${names} breaks the ${dir} order` };
+}
+
+// Chalan sequences come from the parsed records; melakartas and user-built scales without chalans
+// fall back to their ascending/descending scale.
+function chalanOf(raga) {
+  if (raga.aarohChalan && raga.avrohChalan) return raga;
+  const scale = (pattern) => pattern.map((v, i) => v ? i : null).filter(v => v !== null);
+  const aaroh = [...scale(raga.aarohPattern || raga.notePattern), 0];
+  const avroh = [0, ...scale(raga.avrohPattern || raga.notePattern).reverse()];
+  return { ...raga, aarohChalan: aaroh, avrohChalan: avroh };
+}
+
+export function scorePhraseForRaga(raga, positions) {
+  const r = chalanOf(raga);
+  const steps = [];
+  for (let i = 1; i < positions.length; i++) {
+    const judged = judgeStep(r, positions[i - 1], positions[i]);
+    steps.push({
+      from: swarNames[((positions[i - 1] % 12) + 12) % 12],
+      to: swarNames[((positions[i] % 12) + 12) % 12],
+      direction: positions[i] > positions[i - 1] ? 'up' : positions[i] < positions[i - 1] ? 'down' : 'same',
+      ...judged,
+      score: STEP_SCORES[judged.verdict]
+    });
+  }
+  const pcs = positions.map(p => ((p % 12) + 12) % 12);
+  const outsideNotes = [...new Set(pcs)].filter(pc => !raga.notePattern[pc]);
+  // the raga's pakad containing the whole phrase breaks ties between ragas the grammar alone cannot separate
+  const pakad = raga.pakad ? notationPitchClasses(parseNotation(raga.pakad)) : [];
+  const inPakad = pcs.length >= 3 && pakad.some((_, i) => pcs.every((pc, k) => pakad[i + k] === pc));
+  const score = steps.length
+    ? steps.reduce((s, st) => s + st.score, 0) / steps.length
+    : (outsideNotes.length ? 0 : 1);
+  return {
+    name: raga.name,
+    score: Math.round(score * 1000) / 1000,
+    matched: steps.filter(s => s.score >= STEP_SCORES.skip).length,
+    broken: steps.filter(s => s.score < STEP_SCORES.skip).length,
+    outsideNotes: outsideNotes.map(pc => swarNames[pc]),
+    inPakad,
+    steps
+  };
+}
+
+// Rank ragas for a phrase in Bhatkhande notation. Returns { errors } when the phrase does not parse.
+export function identifyPhrase(ragas, phrase, limit = 10) {
+  const parsed = parseNotation(phrase);
+  if (parsed.errors.length) return { errors: parsed.errors };
+  const positions = phrasePositions(parsed);
+  if (!positions.length) return { errors: [{ index: 0, message: 'Phrase has no swaras' }] };
+  const results = ragas
+    .map(r => scorePhraseForRaga(r, positions))
+    .sort((x, y) => y.score - x.score || y.inPakad - x.inPakad || x.broken - y.broken || x.name.localeCompare(y.name));
+  return { swaras: positions.map(p => swarNames[((p % 12) + 12) % 12]), results: results.slice(0, limit) };
+}
@@ -0,0 +1,162 @@
+// Relations across the whole raga collection: ragas sharing one note set, murchannas (rotations of
+// one another), subsets, and the one-swara-apart network with shortest paths through it. The API
+// serves these from a cached index per user; the insights page falls back to computing them itself.
+
+import { swarNames, patternToString, rotatePattern, isSubsetPattern } from './raga-theory.js';
+
+// What the API sends for a raga inside a relation
+const ragaRef = (r) => ({
+  name: r.name,
+  type: r.type,
+  ...(r.number ? { number: r.number } : {}),
+  ...(r.source ? { source: r.source } : {}),
+  notePattern: r.notePattern
+});
+
+const swaraCount = (pattern) => pattern.reduce((sum, p) => sum + (p ? 1 : 0), 0);
+
+// Every pattern one swara away from `pattern`: one swara added, one dropped (never Sa) or one moved a
+// semitone (Ma to Ma♯, Dha to Dha♭). Returns [{ pattern, change: { kind, swara } | { kind, from, to } }].
+export function oneSwaraChanges(pattern) {
+  const out = [];
+  for (let pc = 1; pc < 12; pc++) {
+    const next = pattern.map(v => (v ? 1 : 0));
+    next[pc] = next[pc] ? 0 : 1;
+    out.push({ pattern: next, change: { kind: pattern[pc] ? 'drop' : 'add', swara: swarNames[pc] } });
+    if (!pattern[pc]) continue;
+    [pc - 1, pc + 1].forEach(to => {
+      if (to < 1 || to > 11 || pattern[to]) return;
+      const moved = pattern.map(v => (v ? 1 : 0));
+      moved[pc] = 0;
+      moved[to] = 1;
+      out.push({ pattern: moved, change: { kind: 'alter', from: swarNames[pc], to: swarNames[to] } });
+    });
+  }
+  return out;
+}
+
+// hindustani and carnatic: raga records (the user's saved ragas go with the Hindustani ones). Each
+// analysis is computed on first use and kept, so build one index per data set and reuse it.
+export function createInsights({ hindustani = [], carnatic = [] } = {}) {
+  const ragas = [
+    ...hindustani.map(r => ({ ...r, type: 'hindustani' })),
+    ...carnatic.map(r => ({ ...r, type: 'carnatic' }))
+  ];
+  const byPattern = new Map();
+  ragas.forEach(r => {
+    const key = patternToString(r.notePattern);
+    if (!byPattern.has(key)) byPattern.set(key, { key, pattern: r.notePattern.map(v => (v ? 1 : 0)), ragas: [] });
+    byPattern.get(key).ragas.push(r);
+  });
+  const memo = {};
+  const once = (name, build) => () => {
+    if (!(name in memo)) memo[name] = build();
+    return memo[name];
+  };
+
+  // Note sets held by more than one raga; largest groups first
+  const sameNotes = once('sameNotes', () => [...byPattern.values()]
+    .filter(g => g.ragas.length > 1)
+    .sort((a, b) => b.ragas.length - a.ragas.length)
+    .map(g => ({ pattern: g.pattern, ragas: g.ragas.map(ragaRef) })));
+
+  // For each note set, the rotations that are other ragas' note sets
+  const murchanna = once('murchanna', () => {
+    const groups = [];
+    const seen = new Set();
+    ragas.forEach(raga => {
+      const key = patternToString(raga.notePattern);
+      if (seen.has(key)) return;
+      seen.add(key);
+      const murchannas = [];
+      for (let rotation = 1; rotation < 12; rotation++) {
+        const pattern = rotatePattern(raga.notePattern, rotation);
+        const match = byPattern.get(patternToString(pattern));
+        if (match) murchannas.push({ rotation, pattern, ragas: match.ragas.map(ragaRef) });
+      }
+      if (murchannas.length) groups.push({ baseRaga: ragaRef(raga), basePattern: raga.notePattern, murchannas });
+    });
+    return groups.sort((a, b) => b.murchannas.length - a.murchannas.length);
+  });
+
+  // Each raga with the ragas whose note sets strictly contain its own; most supersets first
+  const subsets = once('subsets', () => ragas
+    .map(subset => ({
+      subset: ragaRef(subset),
+      supersets: ragas
+        .filter(r => r !== subset && swaraCount(subset.notePattern) < swaraCount(r.notePattern) && isSubsetPattern(subset.notePattern, r.notePattern))
+        .map(ragaRef)
+    }))
+    .filter(rel => rel.supersets.length)
+    .sort((a, b) => b.supersets.length - a.supersets.length));
+
+  // Nodes are note sets (with the ragas on them), edges join note sets one swara apart
+  const graph = once('graph', () => {
+    const nodes = [...byPattern.values()].map(g => ({
+      id: g.key,
+      pattern: g.pattern,
+      notes: swaraCount(g.pattern),
+      ragas: g.ragas.map(r => ({ name: r.name, type: r.type, ...(r.number ? { number: r.number } : {}), ...(r.source ? { source: r.source } : {}) }))
+    }));
+    const edges = [];
+    const adjacency = new Map(nodes.map(n => [n.id, []]));
+    nodes.forEach(node => {
+      oneSwaraChanges(node.pattern).forEach(({ pattern, change }) => {
+        const other = patternToString(pattern);
+        if (!adjacency.has(other)) return;
+        adjacency.get(node.id).push({ id: other, change });
+        // each edge once, from the node with the smaller key
+        if (node.id < other) edges.push({ source: node.id, target: other, change });
+      });
+    });
+    return { nodes, edges, adjacency };
+  });
+
+  const nodeOf = (name) => {
+    const target = String(name || '').toLowerCase();
+    const raga = ragas.find(r => r.name.toLowerCase() === target);
+    return raga ? patternToString(raga.notePattern) : null;
+  };
+
+  // The note sets next to a raga's, with the change that leads to each
+  function neighbours(name) {
+    const id = nodeOf(name);
+    if (!id) return null;
+    const { nodes, adjacency } = graph();
+    const find = (key) => nodes.find(n => n.id === key);
+    return {
+      node: find(id),
+      neighbours: adjacency.get(id).map(({ id: other, change }) => ({ node: find(other), change }))
+    };
+  }
+
+  // Breadth-first through the network: the fewest single-swara changes from one raga to another, each
+  // step landing on a note set some raga uses. Returns { steps } (empty when unreachable), or null
+  // when either raga is unknown.
+  function shortestPath(fromName, toName) {
+    const start = nodeOf(fromName);
+    const goal = nodeOf(toName);
+    if (!start || !goal) return null;
+    const { nodes, adjacency } = graph();
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+    while (queue.length && !previous.has(goal)) {
+      const id = queue.shift();
+      adjacency.get(id).forEach(({ id: next, change }) => {
+        if (!previous.has(next)) {
+          previous.set(next, { id, change });
+          queue.push(next);
+        }
+      });
+    }
+    if (!previous.has(goal)) return { from: fromName, to: toName, length: null, steps: [] };
+    const steps = [];
+    for (let id = goal; id !== null; id = previous.get(id) ? previous.get(id).id : null) {
+      const link = previous.get(id);
+      steps.unshift({ node: nodes.find(n => n.id === id), change: link ? link.change : null });
+    }
+    return { from: fromName, to: toName, length: steps.length - 1, steps };
+  }
+
+  return { ragas, sameNotes, murchanna, subsets, graph, neighbours, shortestPath };
+}
@@ -0,0 +1,129 @@
+// The server-side user library: custom ragas and saved progressions, kept per user. This module
+// validates what clients send and shapes it like the CSV records; lib/data.js stores it.
+
+import {
+  combinePatterns,
+  parseSwaraNote,
+  parseSwaraSequence,
+  parseChalanNotation,
+  serializeNotation,
+  notationPitchClasses
+} from './raga-theory.js';
+
+export const DEFAULT_USER = 'default';
+const USER_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,39}$/i;
+const MAX_NAME = 80;
+const MAX_CHORDS = 256;
+
+const isPattern = (p) => Array.isArray(p) && p.length === 12 && p.every(v => v === 0 || v === 1 || v === true || v === false);
+const toPattern = (p) => p.map(v => (v ? 1 : 0));
+
+// The namespace a request works in: the X-User header, else ?user=, else the shared default.
+// Returns the user id or { error }.
+export function readUser(headers = {}, query = null) {
+  const raw = String(headers['x-user'] || (query && query.get('user')) || '').trim();
+  if (!raw) return DEFAULT_USER;
+  if (!USER_PATTERN.test(raw)) return { error: 'user must be 1-40 letters, digits, dots, dashes or underscores' };
+  return raw.toLowerCase();
+}
+
+const readName = (value, errors) => {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) errors.push({ field: 'name', message: 'name is required' });
+  else if (name.length > MAX_NAME) errors.push({ field: 'name', message: `name must be at most ${MAX_NAME} characters` });
+  return name;
+};
+
+// A custom raga from the scale builder (aarohPattern/avrohPattern/notePattern, 12 slots of 0/1) or
+// written out as swaras (aaroh: "S R G M P D N S'"), plus optional vadi, samvadi, thaat and notes.
+// Returns a record shaped like a CSV raga, or { errors: [{ field, message }] }.
+export function makeUserRaga(input) {
+  const body = input && typeof input === 'object' ? input : {};
+  const errors = [];
+  const name = readName(body.name, errors);
+
+  let aarohPattern = null, avrohPattern = null, notation = {};
+  if (typeof body.aaroh === 'string' && typeof body.avroh === 'string' && body.aaroh.trim() && body.avroh.trim()) {
+    const aarohNotation = parseChalanNotation(body.aaroh, 'aaroh');
+    const avrohNotation = parseChalanNotation(body.avroh, 'avroh');
+    aarohPattern = parseSwaraSequence(body.aaroh).pattern;
+    avrohPattern = parseSwaraSequence(body.avroh).pattern;
+    notation = {
+      aarohChalan: notationPitchClasses(aarohNotation),
+      avrohChalan: notationPitchClasses(avrohNotation),
+      aarohNotation: serializeNotation(aarohNotation),
+      avrohNotation: serializeNotation(avrohNotation)
+    };
+  } else {
+    const all = isPattern(body.notePattern) ? toPattern(body.notePattern) : null;
+    aarohPattern = isPattern(body.aarohPattern) ? toPattern(body.aarohPattern) : all;
+    avrohPattern = isPattern(body.avrohPattern) ? toPattern(body.avrohPattern) : all;
+    if (!aarohPattern || !avrohPattern) {
+      errors.push({ field: 'aarohPattern', message: 'Provide aarohPattern/avrohPattern or notePattern (12 values of 0/1), or aaroh and avroh swaras' });
+    }
+  }
+  if (aarohPattern && avrohPattern) {
+    if (!aarohPattern[0] || !avrohPattern[0]) errors.push({ field: 'aarohPattern', message: 'Sa must be in the aaroh and the avroh' });
+    if (aarohPattern.filter(Boolean).length < 3) errors.push({ field: 'aarohPattern', message: 'The aaroh needs at least three swaras' });
+    if (avrohPattern.filter(Boolean).length < 3) errors.push({ field: 'avrohPattern', message: 'The avroh needs at least three swaras' });
+  }
+
+  const swara = (field) => {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') return null;
+    const pc = parseSwaraNote(raw);
+    if (pc === null) errors.push({ field, message: `Unknown swara ${raw}` });
+    return pc;
+  };
+  const vadi = swara('vadi');
+  const samvadi = swara('samvadi');
+  const text = (field) => (typeof body[field] === 'string' && body[field].trim() ? body[field].trim().slice(0, 500) : null);
+
+  if (errors.length) return { errors };
+  return {
+    name,
+    notePattern: combinePatterns(aarohPattern, avrohPattern),
+    aarohPattern,
+    avrohPattern,
+    ...notation,
+    thaat: text('thaat'),
+    vadi,
+    samvadi,
+    description: text('description'),
+    source: 'user'
+  };
+}
+
+// A saved progression: { name, raga?, tonic?, chords: [{ notes (pitch classes from Sa), root?, type?,
+// beat?, duration?, ... }], session? }. Chords are kept as sent (lib/session.js packChord is the
+// format the chord app uses); session may carry the app's full session document.
+// Returns the record without id/timestamps, or { errors }.
+export function makeProgression(input) {
+  const body = input && typeof input === 'object' ? input : {};
+  const errors = [];
+  const name = readName(body.name, errors);
+  const chords = Array.isArray(body.chords) ? body.chords : null;
+  if (!chords) errors.push({ field: 'chords', message: 'chords must be an array' });
+  else if (chords.length > MAX_CHORDS) errors.push({ field: 'chords', message: `At most ${MAX_CHORDS} chords` });
+  else {
+    chords.forEach((c, index) => {
+      const ok = c && Array.isArray(c.notes) && c.notes.length > 0 && c.notes.every(n => Number.isInteger(n) && n >= 0 && n <= 11);
+      if (!ok) errors.push({ field: `chords[${index}]`, message: 'notes must be pitch classes 0-11' });
+      else if (c.beat !== undefined && !(Number(c.beat) >= 0)) errors.push({ field: `chords[${index}]`, message: 'beat must be 0 or more' });
+    });
+  }
+  const tonic = body.tonic === undefined || body.tonic === null ? null : body.tonic;
+  if (tonic !== null && !(Number.isInteger(tonic) && tonic >= 0 && tonic <= 11)) errors.push({ field: 'tonic', message: 'tonic must be 0-11' });
+  if (body.session !== undefined && (typeof body.session !== 'object' || Array.isArray(body.session))) {
+    errors.push({ field: 'session', message: 'session must be an object' });
+  }
+
+  if (errors.length) return { errors };
+  return {
+    name,
+    raga: typeof body.raga === 'string' && body.raga.trim() ? body.raga.trim() : null,
+    tonic,
+    chords,
+    ...(body.session ? { session: body.session } : {})
+  };
+}
@@ -0,0 +1,326 @@
+// Standard MIDI File import for the chord app: reads a .mid exported from a DAW, infers the tonic and
+// pitch-class set, suggests ragas and turns block chords into the app's chord objects; and a writer
+// for block-chord files (the pakad CLI's export). Pure JS over Uint8Array so it runs in the browser
+// as well as under Node.
+
+import {
+  swarNames,
+  westernNotesFlat,
+  westernNotesSharp,
+  compareWithParent,
+  identifyChord,
+  attachWesternNames
+} from './raga-theory.js';
+
+const DRUM_CHANNEL = 9;        // General MIDI percussion (channel 10) carries no pitch
+const SCALE_SHARE = 0.02;      // a pitch class belongs to the scale with at least 2% of the sounding time
+const CHORD_MIN_NOTES = 3;     // fewer distinct pitch classes is a melody note or a dyad, not a chord
+const TONIC_TIE = 0.02;        // rotations whose raga fit is this close count as equally good
+const TEXT_EVENTS = { 0x01: 'text', 0x03: 'name', 0x06: 'marker' };
+
+const CUSTOM_TYPE = { name: 'Custom', color: '#a855f7' };
+
+// Parse a Standard MIDI File (format 0 or 1). Returns the header, tempo changes, text meta events
+// (track names, text, markers) and every note with its start/end tick; throws on anything that is
+// not a MIDI file.
+export function parseMidi(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const text = (at, n) => String.fromCharCode(...bytes.subarray(at, at + n));
+  const utf8 = new TextDecoder();
+  const u32 = (at) => ((bytes[at] << 24) >>> 0) + (bytes[at + 1] << 16) + (bytes[at + 2] << 8) + bytes[at + 3];
+  const u16 = (at) => (bytes[at] << 8) + bytes[at + 1];
+  if (bytes.length < 14 || text(0, 4) !== 'MThd') throw new Error('Not a MIDI file');
+
+  const headerLength = u32(4);
+  const format = u16(8);
+  const trackCount = u16(10);
+  const division = u16(12);
+  if (division & 0x8000) throw new Error('SMPTE time division is not supported');
+
+  const notes = [];
+  const tempos = [];
+  const texts = [];
+  const tracks = [];
+  let pos = 8 + headerLength;
+  for (let t = 0; t < trackCount && pos + 8 <= bytes.length; t++) {
+    if (text(pos, 4) !== 'MTrk') throw new Error(`Track ${t + 1} has no MTrk header`);
+    const end = Math.min(bytes.length, pos + 8 + u32(pos + 4));
+    let p = pos + 8;
+    let tick = 0;
+    let status = 0;
+    let name = '';
+    const open = new Map(); // `${channel}:${midi}` -> pending note-ons
+    const readVarLen = () => {
+      let value = 0;
+      for (let i = 0; i < 4 && p < end; i++) {
+        const b = bytes[p++];
+        value = (value << 7) | (b & 0x7f);
+        if (!(b & 0x80)) break;
+      }
+      return value;
+    };
+    const closeNote = (channel, midi) => {
+      const stack = open.get(`${channel}:${midi}`);
+      const note = stack && stack.shift();
+      if (note) note.endTick = tick;
+    };
+
+    while (p < end) {
+      tick += readVarLen();
+      // a data byte here means running status: the previous channel status applies again
+      const b = bytes[p];
+      if (b & 0x80) { status = b; p++; } else if (!status) throw new Error(`Track ${t + 1}: data byte without status`);
+      if (status === 0xff) {
+        const type = bytes[p++];
+        const len = readVarLen();
+        if (type === 0x51 && len === 3) tempos.push({ tick, microsecondsPerQuarter: (bytes[p] << 16) + (bytes[p + 1] << 8) + bytes[p + 2] });
+        if (TEXT_EVENTS[type]) {
+          const value = utf8.decode(bytes.subarray(p, p + len));
+          texts.push({ track: t, tick, type: TEXT_EVENTS[type], text: value });
+          if (type === 0x03) name = value;
+        }
+        p += len;
+        status = 0;
+        if (type === 0x2f) break;
+        continue;
+      }
+      if (status === 0xf0 || status === 0xf7) {
+        p += readVarLen();
+        status = 0;
+        continue;
+      }
+      const kind = status & 0xf0;
+      const channel = status & 0x0f;
+      const d1 = bytes[p++];
+      const d2 = kind === 0xc0 || kind === 0xd0 ? 0 : bytes[p++];
+      if (kind === 0x90 && d2 > 0) {
+        const note = { midi: d1, channel, track: t, startTick: tick, endTick: null, velocity: d2 };
+        const key = `${channel}:${d1}`;
+        if (!open.has(key)) open.set(key, []);
+        open.get(key).push(note);
+        notes.push(note);
+      } else if (kind === 0x80 || kind === 0x90) {
+        // note-on with velocity 0 is a note-off
+        closeNote(channel, d1);
+      }
+    }
+    // notes left hanging run to the end of their track
+    open.forEach(stack => stack.forEach(n => { n.endTick = tick; }));
+    tracks.push({ name, endTick: tick });
+    pos = end;
+  }
+
+  notes.sort((a, b) => a.startTick - b.startTick || a.midi - b.midi);
+  return { format, ticksPerQuarter: division, tracks, tempos, texts, notes };
+}
+
+// Notes struck together (within a 64th note) with at least three distinct pitch classes, in order.
+// Each chord lasts until its longest note ends or the next chord starts.
+export function findBlockChords(parsed) {
+  const tpq = parsed.ticksPerQuarter;
+  const window = Math.max(1, Math.round(tpq / 16));
+  const pitched = parsed.notes.filter(n => n.channel !== DRUM_CHANNEL);
+  const clusters = [];
+  pitched.forEach(n => {
+    const last = clusters[clusters.length - 1];
+    if (last && n.startTick - last.startTick <= window) last.notes.push(n);
+    else clusters.push({ startTick: n.startTick, notes: [n] });
+  });
+  const chords = clusters
+    .filter(c => new Set(c.notes.map(n => n.midi % 12)).size >= CHORD_MIN_NOTES)
+    .map(c => ({
+      startTick: c.startTick,
+      endTick: Math.max(...c.notes.map(n => n.endTick)),
+      midi: [...new Set(c.notes.map(n => n.midi))].sort((a, b) => a - b)
+    }));
+  chords.forEach((c, i) => {
+    const next = chords[i + 1];
+    if (next && next.startTick < c.endTick) c.endTick = next.startTick;
+    c.startBeat = c.startTick / tpq;
+    c.durationBeats = Math.max(0, (c.endTick - c.startTick) / tpq);
+  });
+  return chords;
+}
+
+// Share of the total sounding time per absolute pitch class (C = 0)
+function pitchClassWeights(notes) {
+  const weights = new Array(12).fill(0);
+  notes.forEach(n => { weights[n.midi % 12] += Math.max(1, n.endTick - n.startTick); });
+  const total = weights.reduce((s, v) => s + v, 0);
+  return total ? weights.map(v => v / total) : weights;
+}
+
+const rotate = (arr, t) => arr.map((_, i) => arr[(i + t) % 12]);
+
+// Sa-relative pattern -> ragas ranked by overlap; missing = file notes the raga lacks
+function suggestRagas(pattern, ragas, limit) {
+  return ragas
+    .map(r => {
+      const cmp = compareWithParent(pattern, r.notePattern);
+      return {
+        name: r.name,
+        ...(r.number ? { number: r.number } : {}),
+        confidence: cmp.confidence,
+        contains: cmp.contains,
+        missingSwaras: cmp.missing.map(i => swarNames[i]),
+        extraSwaras: cmp.extra.map(i => swarNames[i])
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence || a.missingSwaras.length - b.missingSwaras.length || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+// The tonic a file states in a track name, text event or marker: "Sa = C#" as the app's exports write
+// it, or "Tonic: D", "Key: Eb" as a DAW might. Returns the pitch class, or null.
+const TONIC_TEXT = /\b(?:sa|tonic|key)\b\s*[:=]?\s*([A-G])(#|♯|b|♭)?(?![A-Za-z#♯♭])/i;
+const LETTER_PITCH = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+export function tonicFromText(text) {
+  const m = TONIC_TEXT.exec(String(text || ''));
+  if (!m) return null;
+  const shift = !m[2] ? 0 : m[2] === '#' || m[2] === '♯' ? 1 : -1;
+  return (LETTER_PITCH[m[1].toUpperCase()] + shift + 12) % 12;
+}
+
+function statedTonic(parsed) {
+  for (const t of parsed.texts || []) {
+    const pc = tonicFromText(t.text);
+    if (pc !== null) return pc;
+  }
+  return null;
+}
+
+// Tonic: the rotation whose pitch-class set best fits some raga or melakarta. Rotations of one scale
+// fit equally well (Yaman on C is Khamaj on D), so among the best fits the one under the final bass
+// note wins, then the one on the lowest note, then the one with the strongest Sa and Pa.
+function estimateTonic(weights, parents, { finalBass, lowest }) {
+  const scored = [];
+  for (let t = 0; t < 12; t++) {
+    const rel = rotate(weights, t);
+    const pattern = rel.map(v => (v >= SCALE_SHARE ? 1 : 0));
+    if (!pattern[0]) continue;
+    const fit = parents.reduce((m, r) => Math.max(m, compareWithParent(pattern, r.notePattern).confidence), 0);
+    scored.push({ pitchClass: t, fit, drone: rel[0] + 0.5 * rel[7] });
+  }
+  if (!scored.length) return null;
+  const bestFit = Math.max(...scored.map(s => s.fit));
+  const tied = scored.filter(s => s.fit >= bestFit - TONIC_TIE);
+  const on = (pc) => tied.find(s => s.pitchClass === pc);
+  return on(finalBass) || on(lowest) || tied.sort((a, b) => b.drone - a.drone)[0];
+}
+
+// Lowest note of the last onset (a chord's bass or the closing melody note) and of the whole file
+function bassNotes(notes, window) {
+  const lastStart = Math.max(...notes.map(n => n.startTick));
+  const final = notes.filter(n => n.startTick >= lastStart - window);
+  return {
+    finalBass: Math.min(...final.map(n => n.midi)) % 12,
+    lowest: Math.min(...notes.map(n => n.midi)) % 12
+  };
+}
+
+// Chord found in the file -> chord object relative to the tonic, named with the known chord types
+function toChordObject(chord, tonic, types) {
+  const rel = chord.midi.map(m => (m - tonic + 120) % 12);
+  const known = identifyChord(rel, rel[0], { types });
+  if (known) return attachWesternNames([known], tonic)[0];
+  const notes = [...new Set(rel)];
+  const root = notes[0];
+  return {
+    root,
+    rootName: swarNames[root],
+    notes,
+    type: CUSTOM_TYPE,
+    isExtended: false,
+    westernName: `${westernNotesFlat[(root + tonic) % 12]} Custom: ${notes.map(n => westernNotesFlat[(n + tonic) % 12]).join(' - ')}`
+  };
+}
+
+// Everything the import needs from a parsed file. tonic (0-11) can be forced; otherwise the one the
+// file states (statedTonic) is used, and failing that it is inferred.
+export function analyzeMidi(parsed, { ragas = [], melakartas = [], types, tonic = null, limit = 5 } = {}) {
+  const pitched = parsed.notes.filter(n => n.channel !== DRUM_CHANNEL);
+  if (!pitched.length) return { error: 'The file has no pitched notes' };
+  const weights = pitchClassWeights(pitched);
+  const blocks = findBlockChords(parsed);
+
+  const stated = tonic === null ? statedTonic(parsed) : null;
+  const source = tonic !== null ? 'given' : stated !== null ? 'file' : 'estimated';
+  const t = tonic !== null ? tonic : stated !== null ? stated
+    : (estimateTonic(weights, [...ragas, ...melakartas], bassNotes(pitched, Math.max(1, Math.round(parsed.ticksPerQuarter / 16))))
+      || { pitchClass: pitched[0].midi % 12 }).pitchClass;
+  const relWeights = rotate(weights, t);
+  const notePattern = relWeights.map(v => (v >= SCALE_SHARE ? 1 : 0));
+  notePattern[0] = 1;
+
+  const firstBeat = blocks.length ? blocks[0].startBeat : 0;
+  const tempo = parsed.tempos[0];
+  return {
+    tonic: { pitchClass: t, name: westernNotesFlat[t], source, estimated: source === 'estimated' },
+    bpm: tempo ? Math.round(60000000 / tempo.microsecondsPerQuarter) : 120,
+    notePattern,
+    swaras: notePattern.map((v, i) => (v ? swarNames[i] : null)).filter(Boolean),
+    weights: relWeights.map(v => Math.round(v * 1000) / 1000),
+    ragas: suggestRagas(notePattern, ragas, limit),
+    melakartas: suggestRagas(notePattern, melakartas, limit),
+    chords: blocks.map(b => ({
+      beat: Math.round((b.startBeat - firstBeat) * 100) / 100,
+      duration: Math.round(b.durationBeats * 100) / 100,
+      midi: b.midi,
+      chord: toChordObject(b, t, types)
+    }))
+  };
+}
+
+// ---- Writing ----
+
+const varLen = (value) => {
+  const bytes = [value & 0x7F];
+  while ((value >>= 7)) bytes.unshift((value & 0x7F) | 0x80);
+  return bytes;
+};
+
+const uint32 = (n) => [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF];
+
+const textEvent = (type, text) => {
+  const bytes = [...new TextEncoder().encode(text)];
+  return [0xFF, type, ...varLen(bytes.length), ...bytes];
+};
+
+// Meta events (delta time not included) naming the track and marking Sa, e.g. "Sa = C#", which
+// analyzeMidi reads back as the tonic. The page's own MIDI builders use these too.
+export const trackNameEvent = (name) => textEvent(0x03, name);
+export const tonicMarkerEvent = (tonic) => textEvent(0x06, `Sa = ${westernNotesSharp[((tonic % 12) + 12) % 12]}`);
+
+// A format 0 file playing each entry of `chords` (arrays of MIDI note numbers, e.g. from
+// voiceProgression) as a block chord `beats` long, `gap` beats apart. Empty entries are rests. name
+// and tonic (0-11, the Sa the notes were voiced on) are written as the track name and a marker.
+export function writeChordMidi(chords, { bpm = 120, channel = 1, program = 0, velocity = 96, beats = 2, gap = 0, name = null, tonic = null } = {}) {
+  const TPQ = 480;
+  const ch = Math.max(1, Math.min(16, channel)) - 1;
+  const vel = Math.max(1, Math.min(127, velocity));
+  const tempo = Math.round(60000000 / Math.max(1, Math.min(400, bpm)));
+  const length = Math.max(1, Math.round(beats * TPQ));
+  const rest = Math.max(0, Math.round(gap * TPQ));
+
+  const events = [];
+  const push = (delta, bytes) => events.push(...varLen(delta), ...bytes);
+  if (name) push(0, trackNameEvent(name));
+  if (tonic !== null) push(0, tonicMarkerEvent(tonic));
+  push(0, [0xFF, 0x51, 0x03, (tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF]);
+  push(0, [0xC0 | ch, Math.max(0, Math.min(127, program))]);
+  let pending = 0;
+  chords.forEach(notes => {
+    if (!notes || !notes.length) {
+      pending += length + rest;
+      return;
+    }
+    const clamped = notes.map(m => Math.max(0, Math.min(127, m)));
+    clamped.forEach((m, i) => push(i === 0 ? pending : 0, [0x90 | ch, m, vel]));
+    clamped.forEach((m, i) => push(i === 0 ? length : 0, [0x80 | ch, m, 64]));
+    pending = rest;
+  });
+  push(pending, [0xFF, 0x2F, 0x00]);
+
+  const header = [0x4D, 0x54, 0x68, 0x64, ...uint32(6), 0x00, 0x00, 0x00, 0x01, (TPQ >> 8) & 0xFF, TPQ & 0xFF];
+  return Uint8Array.from([...header, 0x4D, 0x54, 0x72, 0x6B, ...uint32(events.length), ...events]);
+}
@@ -0,0 +1,155 @@
+// Modulation planner: moving from one raga (on its tonic) to another (on its own tonic) through
+// pivot chords that belong to both, and short bridging progressions around them scored by the
+// common tones each chord keeps from the one before.
+//
+// Everything is worked out in the source raga's frame: pitch classes are relative to the source Sa,
+// so the chords load straight into a progression played on the source tonic. The target Sa sits at
+// `offset` in that frame.
+
+import {
+  swarNames,
+  chordTypes,
+  rotatePattern,
+  availableChordsForPattern,
+  attachWesternNames,
+  chordLabel
+} from './raga-theory.js';
+
+const chordKey = (c) => `${c.root}:${c.type.id || c.type.name}${c.extendedType ? `:${c.extendedType.id}` : ''}`;
+const commonTones = (a, b) => a.notes.filter(n => b.notes.includes(n)).length;
+const sameChord = (a, b) => chordKey(a) === chordKey(b);
+
+// The chord a raga comes home to: on Sa, a plain triad before anything larger, else any chord holding Sa
+function homeChord(chords, sa) {
+  const onSa = chords.filter(c => c.root === sa);
+  const byFewestNotes = (a, b) => a.notes.length - b.notes.length;
+  return [...onSa].sort(byFewestNotes)[0] || chords.filter(c => c.notes.includes(sa)).sort(byFewestNotes)[0] || null;
+}
+
+// How strongly a pivot points at the target: its Sa and Pa (or Ma when it has no Pa), a root on the
+// target Sa, and few notes the target has that the source lacks are left unsounded
+function pivotStrength(chord, offset, targetPattern) {
+  const at = (pc) => (pc + offset) % 12;
+  let score = 0;
+  if (chord.root === at(0)) score += 3;
+  if (chord.notes.includes(at(0))) score += 2;
+  if (targetPattern[at(7)] ? chord.notes.includes(at(7)) : chord.notes.includes(at(5))) score += 1;
+  return score;
+}
+
+// The chord from `pool` that best links `before` to `after` by common tones, or null when none keeps a
+// tone with both
+function connector(pool, before, after) {
+  let best = null, bestScore = 0;
+  pool.forEach(c => {
+    if (sameChord(c, before) || sameChord(c, after)) return;
+    const left = commonTones(before, c), right = commonTones(c, after);
+    if (!left || !right) return;
+    const score = left + right;
+    if (score > bestScore) { best = c; bestScore = score; }
+  });
+  return best;
+}
+
+// Mean common tones per chord change; a bridge that never changes chord scores 0
+function bridgeScore(chords) {
+  if (chords.length < 2) return 0;
+  let total = 0;
+  for (let i = 1; i < chords.length; i++) total += commonTones(chords[i - 1].chord, chords[i].chord);
+  return Math.round((total / (chords.length - 1)) * 100) / 100;
+}
+
+// Drop a chord that repeats the one before it (the pivot may be the source's own home chord)
+const collapse = (steps) => steps.filter((s, i) => i === 0 || !sameChord(s.chord, steps[i - 1].chord));
+
+// source/target: raga records (notePattern; name for the result). options: sourceTonic, targetTonic
+// (0-11, C = 0), types (chord type registry), extend, limit (bridges returned, default 5)
+export function planModulation(source, target, options = {}) {
+  const { sourceTonic = 0, targetTonic = 0, types = chordTypes, extend = false, limit = 5 } = options;
+  const offset = (((targetTonic - sourceTonic) % 12) + 12) % 12;
+  const targetPattern = rotatePattern(target.notePattern, offset);
+  const typeOptions = { types };
+
+  const sourceChords = availableChordsForPattern(source.notePattern, 'all', extend, typeOptions);
+  const targetChords = availableChordsForPattern(targetPattern, 'all', extend, typeOptions);
+  const inTarget = new Set(targetChords.map(chordKey));
+
+  // names: as written in the source frame, and as the same chord is heard from the target Sa
+  const targetName = (c) => chordLabel({ ...c, rootName: swarNames[(c.root - offset + 12) % 12] });
+  const describe = (c) => ({
+    ...attachWesternNames([c], sourceTonic)[0],
+    sourceName: chordLabel(c),
+    targetName: targetName(c)
+  });
+
+  const pivots = sourceChords
+    .filter(c => inTarget.has(chordKey(c)))
+    .map(c => ({ chord: c, strength: pivotStrength(c, offset, targetPattern) }))
+    .sort((a, b) => b.strength - a.strength || a.chord.notes.length - b.chord.notes.length || a.chord.root - b.chord.root);
+
+  const sourceHome = homeChord(sourceChords, 0);
+  const targetHome = homeChord(targetChords, offset);
+  const step = (role, chord) => ({ role, chord });
+
+  let candidates = [];
+  const opening = sourceHome ? [step('source', sourceHome)] : [];
+  const closing = targetHome ? [step('target', targetHome)] : [];
+  pivots.forEach(({ chord: pivot, strength }) => {
+    const before = sourceHome ? connector(sourceChords, sourceHome, pivot) : null;
+    const after = targetHome ? connector(targetChords, pivot, targetHome) : null;
+    const variants = [[], ...(before ? [[before, null]] : []), ...(after ? [[null, after]] : []), ...(before && after ? [[before, after]] : [])];
+    variants.forEach(([b, a]) => {
+      const steps = collapse([
+        ...opening,
+        ...(b ? [step('source', b)] : []),
+        step('pivot', pivot),
+        ...(a ? [step('target', a)] : []),
+        ...closing
+      ]);
+      candidates.push({ pivot: chordKey(pivot), strength, steps });
+    });
+  });
+
+  // No chord lives in both: step straight across on the source/target pair sharing the most tones
+  if (!pivots.length && sourceHome && targetHome) {
+    let best = null, bestScore = -1;
+    sourceChords.forEach(s => targetChords.forEach(t => {
+      const score = commonTones(sourceHome, s) + 2 * commonTones(s, t) + commonTones(t, targetHome);
+      if (score > bestScore) { best = [s, t]; bestScore = score; }
+    }));
+    if (best) {
+      candidates.push({
+        pivot: null,
+        strength: 0,
+        steps: collapse([...opening, step('source', best[0]), step('target', best[1]), ...closing])
+      });
+    }
+  }
+
+  const seen = new Set();
+  const bridges = candidates
+    .map(c => ({ ...c, score: bridgeScore(c.steps) }))
+    .sort((a, b) => (b.score + b.strength / 2) - (a.score + a.strength / 2) || a.steps.length - b.steps.length)
+    .filter(c => {
+      const key = c.steps.map(s => chordKey(s.chord)).join(' ');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, Math.max(1, limit))
+    .map(c => ({
+      score: c.score,
+      pivot: c.pivot ? describe(pivots.find(p => chordKey(p.chord) === c.pivot).chord).sourceName : null,
+      chords: c.steps.map(s => ({ role: s.role, chord: describe(s.chord) }))
+    }));
+
+  const shared = source.notePattern.map((v, pc) => (v && targetPattern[pc] ? pc : null)).filter(pc => pc !== null);
+  return {
+    source: { name: source.name, tonic: sourceTonic },
+    target: { name: target.name, tonic: targetTonic },
+    offset,
+    commonSwaras: shared.map(pc => swarNames[pc]),
+    pivots: pivots.map(p => ({ ...describe(p.chord), strength: p.strength })),
+    bridges
+  };
+}
@@ -0,0 +1,330 @@
+// The raga search query language, read by /api/raga-search (?q=) and by raga-query.html:
+//
+//   aaroh:+M -m avroh:+n jati:audav-sampoorna vakra:true notes:>=6 bhairo
+//
+// key:value terms filter the ragas. A signed swara (+M, -m, +R2) requires or excludes a swara in the
+// part named by the last aaroh:/avroh:/swaras: term, or in the whole scale before any. Every other
+// word is part of a raga name, matched loosely enough that spelling and transliteration variants
+// (Bhairo, Darbari Kanada, Kalyani, Mayamalavagowla) still find the raga. Values with spaces go in
+// double quotes: name:"miyan ki" thaat:kalyan.
+
+import {
+  hindustaniNoteMap,
+  carnaticSwaraNames,
+  carnaticSwaraPitchClasses,
+  countSwaras,
+  getJati
+} from './raga-theory.js';
+import { ragaSequence, vakraSteps } from './compare.js';
+
+const PARTS = { aaroh: 'aarohPattern', avroh: 'avrohPattern', swaras: 'notePattern' };
+const TEXT_KEYS = ['thaat', 'prahar', 'season', 'rasa'];
+// Fields the Hindustani CSV fills for only some rows (see isUnknownMetadata)
+export const METADATA_KEYS = ['thaat', 'vadi', 'samvadi', ...TEXT_KEYS.slice(1)];
+const KEYS = ['aaroh', 'avroh', 'swaras', 'notes', 'jati', 'vakra', 'janya', 'melakarta', 'vadi', 'samvadi', 'system', 'name', ...TEXT_KEYS];
+// other spellings of the keys
+const KEY_ALIASES = { arohanam: 'aaroh', aroha: 'aaroh', avarohanam: 'avroh', avroha: 'avroh', scale: 'swaras', count: 'notes', mela: 'melakarta', raga: 'name' };
+const SYSTEMS = ['hindustani', 'carnatic', 'all'];
+// keyed by the foldName spelling without a final a (shadav folds to sadav, sampoorna to sampurn)
+const JATIS = { audav: 5, odav: 5, sadav: 6, sampurn: 7 };
+const BOOLEANS = { true: true, yes: true, false: false, no: false };
+const MIN_SCORE = 0.6;
+
+// ---- names ----
+
+// A name spelt the way transliterations agree on: lower case without accents, doubled letters and
+// long vowels written once, aspirates dropped (bh, dh, kh ...), w as v and sh as s
+export function foldName(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/sh/g, 's')
+    .replace(/([bcdgjkpt])h/g, '$1')
+    .replace(/w/g, 'v')
+    .replace(/([a-z])\1+/g, '$1')
+    .trim();
+}
+
+// Folded alternative names and the ragas they stand for
+const NAME_ALIASES = {
+  kalyan: ['Yaman', 'Mechakalyani'],
+  kalyani: ['Mechakalyani', 'Yaman'],
+  bairo: ['Bhairav'],
+  malkos: ['Malkauns'],
+  bup: ['Bhupali'],
+  bupal: ['Bhupali'],
+  mayamalavagovla: ['Mayamalavagaula'],
+  sankarabaranam: ['Dheerasankarabharanam'],
+  'darbari kanada': ['Darbari']
+};
+
+// Without a trailing a, i or am, so Kalyan/Kalyani and Hindol/Hindolam read as one word
+const stem = (word) => (word.length > 4 ? word.replace(/(am|a|i)$/, '') : word);
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const similarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+
+// How well one query word fits one name word, 0-1
+function wordScore(q, w) {
+  if (q === w) return 1;
+  if (stem(q) === stem(w)) return 0.9;
+  if (w.startsWith(q)) return q.length >= 3 ? 0.85 : 0.7;
+  if (q.length < 4) return 0;
+  return Math.max(similarity(q, w), similarity(q, w.slice(0, q.length)) * 0.9) * 0.9;
+}
+
+// How well `query` names the raga called `name`, 0-1: the whole name, an alias, the start of the name,
+// then word by word (every query word must find a name word, and a name with more words scores less)
+export function nameScore(query, name) {
+  const q = foldName(query);
+  const n = foldName(name);
+  if (!q) return 1;
+  if (q === n) return 1;
+  if ((NAME_ALIASES[q] || []).some(alias => alias.toLowerCase() === String(name).toLowerCase())) return 0.95;
+  if (n.startsWith(q)) return 0.92;
+  const inside = q.length >= 3 && n.includes(q) ? 0.8 : 0;
+  const whole = q.length >= 4 ? similarity(q, n) * 0.95 : 0;
+  const nameWords = n.split(' ');
+  const perWord = q.split(' ').map(qw => Math.max(0, ...nameWords.map(w => wordScore(qw, w))));
+  const byWords = Math.min(...perWord) * (perWord.length < nameWords.length ? 0.9 : 1);
+  return Math.round(Math.max(inside, whole, byWords) * 100) / 100;
+}
+
+// ---- swaras ----
+
+// A single swara: a sargam letter (S r R g G m M P d D n N, case matters) or a Carnatic name (R2, G3)
+function readSwara(token) {
+  if (Object.prototype.hasOwnProperty.call(hindustaniNoteMap, token)) return hindustaniNoteMap[token];
+  const carnatic = carnaticSwaraNames.indexOf(token.toUpperCase());
+  return carnatic === -1 ? null : carnaticSwaraPitchClasses[carnatic];
+}
+
+// ---- parsing ----
+
+// Whitespace-separated tokens with their offsets; "double quotes" keep spaces inside a token
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) { i++; continue; }
+    const start = i;
+    let value = '', quoted = false, closed = true;
+    while (i < text.length && !/\s/.test(text[i])) {
+      if (text[i] === '"') {
+        quoted = true;
+        const end = text.indexOf('"', i + 1);
+        if (end === -1) { closed = false; value += text.slice(i + 1); i = text.length; break; }
+        value += text.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        value += text[i++];
+      }
+    }
+    tokens.push({ value, start, raw: text.slice(start, i), quoted, closed });
+  }
+  return tokens;
+}
+
+// "notes:>=6", "notes:5-6", "notes:7" -> { min, max } or null
+function readRange(value) {
+  let m = value.match(/^(\d+)-(\d+)$/);
+  if (m) return { min: parseInt(m[1], 10), max: parseInt(m[2], 10) };
+  m = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+  if (!m) return null;
+  const n = parseInt(m[2], 10);
+  switch (m[1]) {
+    case '>=': return { min: n, max: Infinity };
+    case '<=': return { min: 0, max: n };
+    case '>': return { min: n + 1, max: Infinity };
+    case '<': return { min: 0, max: n - 1 };
+    default: return { min: n, max: n };
+  }
+}
+
+const readJati = (word) => {
+  const folded = foldName(word).replace(/a$/, '');
+  return JATIS[folded] || JATIS[folded.replace(/u$/, '')] || null;
+};
+
+const closestKey = (key) => {
+  const best = KEYS.map(k => ({ k, d: editDistance(key, k) })).sort((a, b) => a.d - b.d)[0];
+  return best && best.d <= 2 ? best.k : null;
+};
+
+// Parse a query. Returns { terms, names, system, errors: [{ position, token, message }] }: terms are
+// the filters in order, names the name phrases (bare words run together), system the system: value.
+export function parseQuery(text) {
+  const terms = [];
+  const names = [];
+  const errors = [];
+  let system = null;
+  let part = 'swaras';
+  let bare = [];
+  const fail = (token, message) => errors.push({ position: token.start, token: token.raw, message });
+  const flushBare = () => {
+    if (bare.length) names.push(bare.join(' '));
+    bare = [];
+  };
+
+  // "+M", "-m", "+M-m+R2" or "+M,-m" (one part): a run of signed swaras
+  const addSwaras = (token, text, where) => {
+    const value = text.replace(/,/g, '');
+    const runs = value.match(/[+-][^+-]+/g);
+    if (!runs || runs.join('') !== value) {
+      const swara = readSwara(value);
+      if (swara === null) return fail(token, `Expected swaras such as +M or -m, got "${value}"`);
+      return terms.push({ key: 'swara', part: where, pc: swara, include: true });
+    }
+    runs.forEach(run => {
+      const swara = readSwara(run.slice(1));
+      if (swara === null) fail(token, `Unknown swara "${run.slice(1)}" (use S r R g G m M P d D n N or R1-N3)`);
+      else if (swara === 0 && run[0] === '-') fail(token, 'Sa is in every raga and cannot be excluded');
+      else terms.push({ key: 'swara', part: where, pc: swara, include: run[0] === '+' });
+    });
+  };
+
+  tokenize(String(text ?? '')).forEach(token => {
+    if (!token.closed) return fail(token, 'Unclosed quote');
+    // a key is what comes before a colon outside the quotes: name:"miyan ki" but not "a:b"
+    const quote = token.raw.indexOf('"');
+    const colon = (quote === -1 ? token.raw : token.raw.slice(0, quote)).indexOf(':');
+    if (colon === -1) {
+      if (/^[+-]/.test(token.value) && !token.quoted) {
+        flushBare();
+        return addSwaras(token, token.value, part);
+      }
+      bare.push(token.value);
+      return;
+    }
+    flushBare();
+    const rawKey = token.value.slice(0, colon).toLowerCase();
+    const key = KEY_ALIASES[rawKey] || rawKey;
+    const value = token.value.slice(colon + 1);
+    if (!KEYS.includes(key)) {
+      const guess = closestKey(rawKey);
+      return fail(token, `Unknown key "${rawKey}"${guess ? ` (did you mean ${guess}?)` : ''}`);
+    }
+    if (!value && !PARTS[key]) return fail(token, `${key}: needs a value`);
+
+    if (PARTS[key]) {
+      part = key;
+      if (value) addSwaras(token, value, key);
+    } else if (key === 'notes') {
+      const range = readRange(value);
+      if (!range || range.min > range.max) return fail(token, `notes: takes a count such as 6, >=6, <7 or 5-6, got "${value}"`);
+      terms.push({ key, ...range });
+    } else if (key === 'jati') {
+      const words = value.split('-');
+      const counts = words.map(readJati);
+      if (words.length > 2 || counts.some(c => c === null)) {
+        return fail(token, `jati: takes audav, shadav or sampoorna, or an aaroh-avroh pair such as audav-sampoorna, got "${value}"`);
+      }
+      terms.push({ key, aaroh: counts[0], avroh: counts[counts.length - 1] });
+    } else if (key === 'vakra' || key === 'janya') {
+      const wanted = BOOLEANS[value.toLowerCase()];
+      if (wanted === undefined) return fail(token, `${key}: takes true or false, got "${value}"`);
+      terms.push({ key, value: wanted });
+    } else if (key === 'vadi' || key === 'samvadi') {
+      const swara = readSwara(value);
+      if (swara === null) return fail(token, `Unknown swara "${value}" for ${key}:`);
+      terms.push({ key, pc: swara });
+    } else if (key === 'melakarta') {
+      const number = /^\d+$/.test(value) ? parseInt(value, 10) : null;
+      if (number !== null && (number < 1 || number > 72)) return fail(token, 'melakarta: numbers run from 1 to 72');
+      terms.push({ key, number, name: number === null ? value : null });
+    } else if (key === 'system') {
+      const wanted = value.toLowerCase();
+      if (!SYSTEMS.includes(wanted)) return fail(token, `system: takes ${SYSTEMS.join(', ')}, got "${value}"`);
+      system = wanted;
+    } else if (key === 'name') {
+      names.push(value);
+    } else {
+      terms.push({ key, value: value.toLowerCase() });
+    }
+  });
+  flushBare();
+  return { terms, names, system, errors };
+}
+
+// ---- matching ----
+
+// What the search filters on besides the CSV fields: swara counts, jatis and whether either part
+// turns back on itself
+export function withSearchFacts(raga) {
+  const aarohCount = countSwaras(raga.aarohPattern);
+  const avrohCount = countSwaras(raga.avrohPattern);
+  return {
+    ...raga,
+    noteCount: countSwaras(raga.notePattern),
+    aarohJati: getJati(aarohCount),
+    avrohJati: getJati(avrohCount),
+    vakra: ['aaroh', 'avroh'].some(part => vakraSteps(ragaSequence(raga, part), part).length > 0)
+  };
+}
+
+// A raga whose row leaves `key` blank: it neither matches nor misses a filter on it. The Carnatic
+// ragas have no such fields at all and do not match.
+export function isUnknownMetadata(raga, key) {
+  if (!METADATA_KEYS.includes(key) || !(key in raga)) return false;
+  const value = raga[key];
+  return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+// The ragas known to match first, then those that only pass because a filtered field is blank, each
+// with `unknown`: the blank fields among `keys`
+export function knownMatchesFirst(ragas, keys) {
+  const known = [], unknown = [];
+  ragas.forEach(r => {
+    const blank = [...new Set(keys)].filter(key => isUnknownMetadata(r, key));
+    if (blank.length) unknown.push({ ...r, unknown: blank });
+    else known.push(r);
+  });
+  return [...known, ...unknown];
+}
+
+function matchesTerm(raga, term) {
+  switch (term.key) {
+    case 'swara': return !!raga[PARTS[term.part]][term.pc] === term.include;
+    case 'notes': return raga.noteCount >= term.min && raga.noteCount <= term.max;
+    case 'jati': return countSwaras(raga.aarohPattern) === term.aaroh && countSwaras(raga.avrohPattern) === term.avroh;
+    case 'vakra':
+    case 'janya': return !!raga[term.key] === term.value;
+    case 'vadi':
+    case 'samvadi': return raga[term.key] === term.pc;
+    case 'melakarta':
+      return term.number !== null
+        ? raga.number === term.number || raga.melakarta === term.number
+        : (raga.number && nameScore(term.name, raga.name) >= MIN_SCORE) || (!!raga.parent && nameScore(term.name, raga.parent) >= MIN_SCORE);
+    case 'thaat': return nameScore(term.value, raga.thaat || '') === 1;
+    case 'season': return raga.season === term.value;
+    default: return (raga[term.key] || []).includes(term.value);
+  }
+}
+
+// Ragas (with withSearchFacts) that pass every term and match every name phrase. With names each
+// raga gets a score (the weakest phrase's), best first; otherwise the order is kept. Ragas whose
+// metadata is blank for a term come after the rest (knownMatchesFirst).
+export function applyQuery(ragas, { terms = [], names = [] }) {
+  const filtered = ragas.filter(r => terms.every(t => matchesTerm(r, t) || isUnknownMetadata(r, t.key)));
+  const keys = terms.map(t => t.key);
+  if (!names.length) return knownMatchesFirst(filtered, keys);
+  return knownMatchesFirst(filtered
+    .map(r => ({ ...r, score: Math.min(...names.map(n => nameScore(n, r.name))) }))
+    .filter(r => r.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score), keys);
+}
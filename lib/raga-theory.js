@@ -0,0 +1,976 @@
+// Shared raga theory: CSV parsing, swara counting and chord generation.
+// Imported by the Express server, the Netlify function and (via window.RagaTheory) the browser pages,
+// so it must stay free of Node or DOM specifics.
+
+export const swarNames = ['Sa', 'Re♭', 'Re', 'Ga♭', 'Ga', 'Ma', 'Ma♯', 'Pa', 'Dha♭', 'Dha', 'Ni♭', 'Ni'];
+// Carnatic labels in 12-slot wheel order
+export const carnaticLabels = ['S', 'R1', 'R2/G1', 'R3/G2', 'G3', 'M1', 'M2', 'P', 'D1', 'D2/N1', 'D3/N2', 'N3'];
+export const westernNotesFlat = ['C', 'D♭', 'D', 'E♭', 'E', 'F', 'G♭', 'G', 'A♭', 'A', 'B♭', 'B'];
+export const westernNotesSharp = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Hindustani sargam letters -> pitch class relative to Sa (lowercase = komal, M = tivra)
+export const hindustaniNoteMap = {
+  'S': 0, 'R': 2, 'r': 1, 'G': 4, 'g': 3, 'M': 6, 'm': 5, 'P': 7,
+  'D': 9, 'd': 8, 'N': 11, 'n': 10
+};
+
+// Chord type registry. intervals are semitones above the root in stacking order; extensions past the
+// octave keep their compound value (9th = 14, 11th = 17, 13th = 21) so voicings stack them on top.
+// symbol is the Western chord-symbol suffix, family groups the types for display.
+export const chordTypes = [
+  { id: 'major', name: 'Major', symbol: '', family: 'triad', intervals: [0, 4, 7], color: '#3b82f6' },
+  { id: 'minor', name: 'Minor', symbol: 'm', family: 'triad', intervals: [0, 3, 7], color: '#8b5cf6' },
+  { id: 'diminished', name: 'Diminished', symbol: 'dim', family: 'triad', intervals: [0, 3, 6], color: '#ef4444' },
+  { id: 'sus4', name: 'Sus4', symbol: 'sus4', family: 'sus', intervals: [0, 5, 7], color: '#10b981' },
+  { id: 'augmented', name: 'Augmented', symbol: 'aug', family: 'triad', intervals: [0, 4, 8], color: '#f97316' },
+  { id: 'major7', name: 'Major 7', symbol: 'maj7', family: 'seventh', intervals: [0, 4, 7, 11], color: '#22c55e' },
+  { id: 'minor7', name: 'Minor 7', symbol: 'm7', family: 'seventh', intervals: [0, 3, 7, 10], color: '#06b6d4' },
+  { id: 'dom7', name: 'Dominant 7', symbol: '7', family: 'seventh', intervals: [0, 4, 7, 10], color: '#eab308' },
+  { id: 'sus2', name: 'Sus2', symbol: 'sus2', family: 'sus', intervals: [0, 2, 7], color: '#14b8a6' },
+  { id: 'dim7', name: 'Diminished 7', symbol: 'dim7', family: 'seventh', intervals: [0, 3, 6, 9], color: '#db2777' },
+  { id: 'maj6', name: 'Major 6', symbol: '6', family: 'sixth', intervals: [0, 4, 7, 9], color: '#a3e635' },
+  { id: 'min6', name: 'Minor 6', symbol: 'm6', family: 'sixth', intervals: [0, 3, 7, 9], color: '#f43f5e' },
+  { id: 'm7b5', name: 'Half-diminished (m7♭5)', symbol: 'm7♭5', family: 'seventh', intervals: [0, 3, 6, 10], color: '#0ea5e9' },
+  { id: 'minMaj7', name: 'Minor-major 7', symbol: 'm(maj7)', family: 'seventh', intervals: [0, 3, 7, 11], color: '#7c3aed' },
+  { id: '7sus4', name: 'Dominant 7 sus4', symbol: '7sus4', family: 'sus', intervals: [0, 5, 7, 10], color: '#059669' },
+  { id: '9sus4', name: 'Dominant 9 sus4', symbol: '9sus4', family: 'sus', intervals: [0, 5, 7, 10, 14], color: '#047857' },
+  { id: 'add9', name: 'Add 9', symbol: 'add9', family: 'extended', intervals: [0, 4, 7, 14], color: '#60a5fa' },
+  { id: 'minAdd9', name: 'Minor add 9', symbol: 'm(add9)', family: 'extended', intervals: [0, 3, 7, 14], color: '#a78bfa' },
+  { id: '6-9', name: '6/9', symbol: '6/9', family: 'sixth', intervals: [0, 4, 7, 9, 14], color: '#84cc16' },
+  { id: 'min6-9', name: 'Minor 6/9', symbol: 'm6/9', family: 'sixth', intervals: [0, 3, 7, 9, 14], color: '#e11d48' },
+  { id: 'maj9', name: 'Major 9', symbol: 'maj9', family: 'extended', intervals: [0, 4, 7, 11, 14], color: '#16a34a' },
+  { id: 'min9', name: 'Minor 9', symbol: 'm9', family: 'extended', intervals: [0, 3, 7, 10, 14], color: '#0891b2' },
+  { id: 'dom9', name: 'Dominant 9', symbol: '9', family: 'extended', intervals: [0, 4, 7, 10, 14], color: '#ca8a04' },
+  { id: 'maj7s11', name: 'Major 7 ♯11', symbol: 'maj7♯11', family: 'extended', intervals: [0, 4, 7, 11, 18], color: '#15803d' },
+  { id: 'min11', name: 'Minor 11', symbol: 'm11', family: 'extended', intervals: [0, 3, 7, 10, 14, 17], color: '#0e7490' },
+  { id: 'dom11', name: 'Dominant 11', symbol: '11', family: 'extended', intervals: [0, 4, 7, 10, 14, 17], color: '#a16207' },
+  { id: 'maj13', name: 'Major 13', symbol: 'maj13', family: 'extended', intervals: [0, 4, 7, 11, 14, 21], color: '#166534' },
+  { id: 'min13', name: 'Minor 13', symbol: 'm13', family: 'extended', intervals: [0, 3, 7, 10, 14, 21], color: '#155e75' },
+  { id: 'dom13', name: 'Dominant 13', symbol: '13', family: 'extended', intervals: [0, 4, 7, 10, 14, 21], color: '#854d0e' },
+  { id: '7b5', name: 'Dominant 7 ♭5', symbol: '7♭5', family: 'altered', intervals: [0, 4, 6, 10], color: '#dc2626' },
+  { id: '7s5', name: 'Dominant 7 ♯5', symbol: '7♯5', family: 'altered', intervals: [0, 4, 8, 10], color: '#ea580c' },
+  { id: '7b9', name: 'Dominant 7 ♭9', symbol: '7♭9', family: 'altered', intervals: [0, 4, 7, 10, 13], color: '#b91c1c' },
+  { id: '7s9', name: 'Dominant 7 ♯9', symbol: '7♯9', family: 'altered', intervals: [0, 4, 7, 10, 15], color: '#c2410c' },
+  { id: '7s11', name: 'Dominant 7 ♯11', symbol: '7♯11', family: 'altered', intervals: [0, 4, 7, 10, 18], color: '#9a3412' },
+  { id: '7b13', name: 'Dominant 7 ♭13', symbol: '7♭13', family: 'altered', intervals: [0, 4, 7, 10, 20], color: '#7f1d1d' },
+  { id: '7alt', name: 'Altered dominant', symbol: '7alt', family: 'altered', intervals: [0, 4, 10, 13, 15, 20], color: '#991b1b' }
+];
+
+export const chordFamilies = [
+  { id: 'triad', name: 'Triads' },
+  { id: 'sus', name: 'Suspended' },
+  { id: 'seventh', name: 'Sevenths' },
+  { id: 'sixth', name: 'Sixths' },
+  { id: 'extended', name: 'Extended' },
+  { id: 'altered', name: 'Altered' },
+  { id: 'user', name: 'User-defined' }
+];
+
+// Western chord-symbol suffix per chord type id
+export const chordQualities = Object.fromEntries(chordTypes.map(t => [t.id, t.symbol]));
+
+// Degree label of an interval above the root; the compound extensions keep their upper-structure names
+const COMPOUND_DEGREES = { 13: '♭9', 14: '9', 15: '♯9', 17: '11', 18: '♯11', 20: '♭13', 21: '13' };
+const SIMPLE_DEGREES = ['1', '♭2', '2', '♭3', '3', '4', '♭5', '5', '♯5', '6', '♭7', '7'];
+export function intervalDegree(semitones) {
+  return COMPOUND_DEGREES[semitones] || SIMPLE_DEGREES[((semitones % 12) + 12) % 12];
+}
+
+// A chord type a user built: { name, symbol?, intervals (absolute, root 0 first), color? } -> registry
+// entry with an id derived from the name, or { error } describing what is wrong with it
+export function makeUserChordType(input, existing = chordTypes) {
+  const { name, symbol, intervals, color } = input || {};
+  const cleanName = typeof name === 'string' ? name.trim() : '';
+  if (!cleanName || cleanName.length > 40) return { error: 'name must be 1-40 characters' };
+  if (!Array.isArray(intervals) || !intervals.every(v => Number.isInteger(v) && v >= 0 && v < 24)) {
+    return { error: 'intervals must be whole semitones from 0 to 23' };
+  }
+  const stack = [...new Set(intervals)].sort((a, b) => a - b);
+  if (stack[0] !== 0) return { error: 'intervals must start on the root (0)' };
+  if (new Set(stack.map(v => v % 12)).size !== stack.length || stack.length < 3) {
+    return { error: 'intervals need at least three distinct pitch classes' };
+  }
+  const id = `user-${cleanName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chord'}`;
+  if (existing.some(t => t.id === id)) return { error: `A chord type with id ${id} already exists` };
+  const cleanSymbol = typeof symbol === 'string' && symbol.trim() ? symbol.trim().slice(0, 20) : cleanName;
+  return {
+    id,
+    name: cleanName,
+    symbol: cleanSymbol,
+    family: 'user',
+    intervals: stack,
+    color: typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? color : '#a855f7',
+    isUser: true
+  };
+}
+
+// ---- Pattern helpers ----
+
+export function emptyPattern() {
+  return new Array(12).fill(0);
+}
+
+export function combinePatterns(a, b) {
+  return a.map((v, idx) => (v || b[idx]) ? 1 : 0);
+}
+
+export function patternToString(pattern) {
+  return pattern.map(p => p ? '1' : '0').join('');
+}
+
+export function patternToPitchClasses(pattern) {
+  return pattern.map((p, i) => p ? i : null).filter(v => v !== null);
+}
+
+// rotate so that pitch class i lands on (i + steps) mod 12
+export function rotatePattern(pattern, steps) {
+  const result = emptyPattern();
+  for (let i = 0; i < 12; i++) {
+    result[(((i + steps) % 12) + 12) % 12] = pattern[i] ? 1 : 0;
+  }
+  return result;
+}
+
+export function isSubsetPattern(subset, superset) {
+  for (let i = 0; i < 12; i++) {
+    if (subset[i] && !superset[i]) return false;
+  }
+  return true;
+}
+
+// ---- Swara counting / jati ----
+
+export function countSwaras(pattern) {
+  const swaraGroups = [
+    [0],        // Sa
+    [1, 2],     // Re
+    [3, 4],     // Ga
+    [5, 6],     // Ma
+    [7],        // Pa
+    [8, 9],     // Dha
+    [10, 11]    // Ni
+  ];
+  return swaraGroups.reduce((count, group) => count + (group.some(idx => pattern[idx] === 1) ? 1 : 0), 0);
+}
+
+export function getJati(count) {
+  if (count === 5) return 'Audav (Pentatonic)';
+  if (count === 6) return 'Shadav (Hexatonic)';
+  if (count === 7) return 'Sampoorna (Heptatonic)';
+  return `${count} notes`;
+}
+
+// ---- Hindustani CSV (aarohavroha.csv) ----
+
+// Parse a hyphen-separated sargam string (S-R-G-m-P) into a 12-slot presence pattern and the ordered
+// pitch-class sequence. Compound tokens like Mm, nN, Gg contribute every letter they contain.
+export function parseSwaraSequence(s) {
+  const present = emptyPattern();
+  const sequence = [];
+  String(s || '').split('-').forEach(tok => {
+    for (const ch of tok.trim()) {
+      if (Object.prototype.hasOwnProperty.call(hindustaniNoteMap, ch)) {
+        present[hindustaniNoteMap[ch]] = 1;
+        sequence.push(hindustaniNoteMap[ch]);
+      }
+    }
+  });
+  return { pattern: present, sequence };
+}
+
+// ---- Bhatkhande notation ----
+//
+// Chalans and pakads are written one matra (beat) per element:
+//   S r R g G m M P d D n N   swaras (lowercase komal, M tivra)
+//   .N  S'                    mandra (lower) and taar (upper) octave marks; they repeat (..P, S'')
+//   GR                        swaras written together share one matra
+//   (N)S                      kan: grace swaras in parentheses sound just before the swara they precede
+//   G~R                       meend: glide from G to R, which is reached by the glide rather than struck
+//   -                         one hyphen between two elements only separates them (the older S-R-G
+//                             style); every further hyphen, or one standing alone, holds the previous
+//                             matra for one more beat
+//   space  |                  whitespace separates beat groups, | marks a vibhag boundary
+// Parsed form: { matras: [{ swaras: [{ pc, octave, kan: [{ pc, octave }], meend }], hold, group, vibhag }], errors }
+// where octave is relative to the middle saptak (-1 mandra, 0 madhya, +1 taar).
+
+const isSwaraLetter = (ch) => Object.prototype.hasOwnProperty.call(hindustaniNoteMap, ch);
+
+export function parseNotation(text) {
+  const src = String(text ?? '');
+  const matras = [];
+  const errors = [];
+  let group = 0, vibhag = 0;
+  let groupHasMatra = false;
+  let wordHasElement = false; // an element has been written in the current whitespace-separated word
+  let current = null;         // element (matra) being built from adjacent swaras
+  let hyphens = 0;
+  let meendPending = false;
+  let mandra = 0;
+  let kan = [];
+  let pendingAt = -1;         // where the octave mark, kan or meend still waiting for its swara starts
+
+  const pushHolds = (n) => {
+    for (let k = 0; k < n; k++) matras.push({ swaras: [], hold: true, group, vibhag });
+    if (n > 0) groupHasMatra = true;
+  };
+  const closeElement = () => { current = null; };
+  const endWord = () => {
+    closeElement();
+    pushHolds(hyphens);
+    hyphens = 0;
+    wordHasElement = false;
+    if (mandra || kan.length || meendPending) errors.push({ index: pendingAt, message: 'Dangling octave mark, kan or meend' });
+    mandra = 0; kan = []; meendPending = false; pendingAt = -1;
+  };
+  const nextGroup = () => {
+    if (groupHasMatra) group++;
+    groupHasMatra = false;
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (/\s/.test(ch)) {
+      endWord();
+      nextGroup();
+    } else if (ch === '|') {
+      endWord();
+      nextGroup();
+      if (matras.length) vibhag++;
+    } else if (ch === '-') {
+      closeElement();
+      hyphens++;
+    } else if (ch === '~') {
+      if (!current && !wordHasElement && !matras.length) errors.push({ index: i, message: 'Meend must follow a swara' });
+      closeElement();
+      // the meend is the separator, so every hyphen before it is a hold
+      pushHolds(hyphens);
+      hyphens = 0;
+      meendPending = true;
+      if (pendingAt === -1) pendingAt = i;
+    } else if (ch === '.') {
+      mandra++;
+      if (pendingAt === -1) pendingAt = i;
+    } else if (ch === "'") {
+      const last = current && current.swaras[current.swaras.length - 1];
+      if (last) last.octave++;
+      else errors.push({ index: i, message: "Taar mark ' must follow a swara" });
+    } else if (ch === '(') {
+      const close = src.indexOf(')', i);
+      if (close === -1) {
+        errors.push({ index: i, message: 'Unclosed kan (' });
+        break;
+      }
+      const inner = parseNotation(src.slice(i + 1, close));
+      inner.matras.forEach(m => m.swaras.forEach(s => kan.push({ pc: s.pc, octave: s.octave })));
+      if (inner.errors.length || !inner.matras.length) errors.push({ index: i, message: 'Kan must contain plain swaras' });
+      if (pendingAt === -1) pendingAt = i;
+      i = close;
+    } else if (isSwaraLetter(ch)) {
+      const swara = { pc: hindustaniNoteMap[ch], octave: mandra ? -mandra : 0, kan, meend: meendPending };
+      if (current) {
+        // written together: same matra
+        current.swaras.push(swara);
+      } else {
+        closeElement();
+        pushHolds(wordHasElement ? Math.max(0, hyphens - 1) : hyphens);
+        current = { swaras: [swara], hold: false, group, vibhag };
+        matras.push(current);
+        groupHasMatra = true;
+        wordHasElement = true;
+      }
+      hyphens = 0; mandra = 0; kan = []; meendPending = false; pendingAt = -1;
+    } else {
+      errors.push({ index: i, message: `Unexpected '${ch}'` });
+    }
+  }
+  endWord();
+  return { matras, errors };
+}
+
+const swaraLetters = ['S', 'r', 'R', 'g', 'G', 'm', 'M', 'P', 'd', 'D', 'n', 'N'];
+const swaraToText = (s) => '.'.repeat(Math.max(0, -s.octave)) + swaraLetters[s.pc] + "'".repeat(Math.max(0, s.octave));
+
+// Inverse of parseNotation: canonical text that parses back to the same matras
+export function serializeNotation(parsed) {
+  const out = [];
+  let word = '';
+  let holds = 0;
+  let prev = null;
+  const flush = () => {
+    if (word || holds) out.push(word + '-'.repeat(holds));
+    word = ''; holds = 0;
+  };
+  parsed.matras.forEach(m => {
+    if (prev && (m.group !== prev.group || m.vibhag !== prev.vibhag)) {
+      flush();
+      if (m.vibhag !== prev.vibhag) out.push('|');
+    }
+    prev = m;
+    if (m.hold) { holds++; return; }
+    const first = m.swaras[0];
+    if (word) word += first.meend ? '-'.repeat(holds) + '~' : '-'.repeat(holds + 1);
+    else word += '-'.repeat(holds) + (first.meend ? '~' : '');
+    holds = 0;
+    word += m.swaras.map(s => (s.kan.length ? `(${s.kan.map(swaraToText).join('')})` : '') + swaraToText(s)).join('');
+  });
+  flush();
+  return out.join(' ');
+}
+
+// On-screen text in any 12-slot label set (swarNames, carnaticLabels ...): mandra/taar as a dot
+// below/above the first letter, swaras sharing a matra joined with ‿, holds as –, meend as ⁀
+export function formatNotation(parsed, labels = swarNames) {
+  const label = (s) => {
+    const l = labels[s.pc];
+    const mark = s.octave < 0 ? '̣'.repeat(-s.octave) : '̇'.repeat(s.octave);
+    return l.slice(0, 1) + mark + l.slice(1);
+  };
+  const groups = [];
+  let prev = null;
+  parsed.matras.forEach(m => {
+    if (!prev || m.group !== prev.group || m.vibhag !== prev.vibhag) {
+      if (prev && m.vibhag !== prev.vibhag) groups.push(['|']);
+      groups.push([]);
+    }
+    prev = m;
+    const text = m.hold ? '–' : m.swaras.map(s =>
+      (s.meend ? '⁀' : '') + (s.kan.length ? `(${s.kan.map(label).join(' ')})` : '') + label(s)
+    ).join('‿');
+    groups[groups.length - 1].push(text);
+  });
+  return groups.map(g => g.join(' ')).join('   ');
+}
+
+// Struck swaras in order (kan and meend arrivals excluded from timing, included as pcs)
+export function notationPitchClasses(parsed) {
+  return parsed.matras.flatMap(m => m.swaras.map(s => s.pc));
+}
+
+// Timed events for playback. Each matra lasts matraSeconds, shared evenly by its swaras; holds extend
+// the previous event. A meend arrival is not struck: the previous event gets glideTo instead.
+// Event: { pc, octave, start, duration, kan: [{ pc, octave }], glideTo: { pc, octave, start } | null }
+export function notationToEvents(parsed, matraSeconds = 0.4) {
+  const events = [];
+  let t = 0;
+  parsed.matras.forEach(m => {
+    if (m.hold) {
+      if (events.length) events[events.length - 1].duration += matraSeconds;
+      t += matraSeconds;
+      return;
+    }
+    const d = matraSeconds / m.swaras.length;
+    m.swaras.forEach((s, k) => {
+      const start = t + k * d;
+      const prev = events[events.length - 1];
+      if (s.meend && prev && !prev.glideTo) {
+        prev.glideTo = { pc: s.pc, octave: s.octave, start };
+        prev.duration += d;
+      } else {
+        events.push({ pc: s.pc, octave: s.octave, start, duration: d, kan: s.kan, glideTo: null });
+      }
+    });
+    t += matraSeconds;
+  });
+  return { events, duration: t };
+}
+
+// Older chalans carry no octave marks and leave the upper Sa implicit: the last Sa of an aaroh and the
+// first Sa of an avroh are taar. Text that already uses . or ' is parsed as written.
+export function parseChalanNotation(text, direction = 'aaroh') {
+  const parsed = parseNotation(text);
+  if (/[.']/.test(String(text))) return parsed;
+  const struck = parsed.matras.filter(m => !m.hold);
+  const edge = direction === 'aaroh' ? struck[struck.length - 1] : struck[0];
+  const sa = edge && (direction === 'aaroh' ? edge.swaras[edge.swaras.length - 1] : edge.swaras[0]);
+  if (sa && sa.pc === 0 && struck.length > 1) sa.octave = 1;
+  return parsed;
+}
+
+// The 10 Bhatkhande thaats and the prahar (time of day) vocabulary used by the metadata columns
+export const thaats = ['Bilawal', 'Kalyan', 'Khamaj', 'Kafi', 'Asavari', 'Bhairavi', 'Bhairav', 'Poorvi', 'Marwa', 'Todi'];
+export const praharNames = ['dawn', 'morning', 'afternoon', 'evening', 'night', 'late-night'];
+
+// Parent scale of each thaat, in the same order as thaats
+const thaatSargam = {
+  Bilawal: 'S-R-G-m-P-D-N',
+  Kalyan: 'S-R-G-M-P-D-N',
+  Khamaj: 'S-R-G-m-P-D-n',
+  Kafi: 'S-R-g-m-P-D-n',
+  Asavari: 'S-R-g-m-P-d-n',
+  Bhairavi: 'S-r-g-m-P-d-n',
+  Bhairav: 'S-r-G-m-P-d-N',
+  Poorvi: 'S-r-G-M-P-d-N',
+  Marwa: 'S-r-G-M-P-D-N',
+  Todi: 'S-r-g-M-P-d-N'
+};
+export const thaatScales = thaats.map(name => ({ name, notePattern: parseSwaraSequence(thaatSargam[name]).pattern }));
+
+// Pitch class of a single swara token (S, r, M, .N, S' ...), ignoring octave marks; null if none.
+// Numeric strings 0-11 are accepted too so API callers can pass either form.
+export function parseSwaraNote(token) {
+  const s = String(token ?? '').trim();
+  if (/^\d+$/.test(s)) {
+    const n = parseInt(s, 10);
+    return n >= 0 && n <= 11 ? n : null;
+  }
+  for (const ch of s) {
+    if (Object.prototype.hasOwnProperty.call(hindustaniNoteMap, ch)) return hindustaniNoteMap[ch];
+  }
+  return null;
+}
+
+// Columns are located by header name so extra columns can be added without breaking older files:
+//   RAGATABLE,Aroha,Avroh[,ArohaChalan,AvrohChalan][,Thaat,Vadi,Samvadi,Pakad,Prahar,Season,Rasa]
+// Rows may stop after Avroh; missing metadata comes back as null (or [] for the list fields).
+// Prahar and Rasa may hold several values separated by '/'. A Vakra column (true for rows whose turns
+// are meant) is read only by lib/validate.js, which reports what this parser passes over.
+export function parseAarohAvrohCSV(csvText) {
+  const lines = csvText.split(/\r?\n/).filter(Boolean);
+  const header = (lines[0] || '').split(',').map(h => h.trim().toLowerCase());
+  const col = (name, fallback = -1) => {
+    const i = header.indexOf(name);
+    return i === -1 ? fallback : i;
+  };
+  const idx = {
+    name: col('ragatable', 0), aroha: col('aroha', 1), avroh: col('avroh', 2),
+    arohaChalan: col('arohachalan', 3), avrohChalan: col('avrohchalan', 4),
+    thaat: col('thaat'), vadi: col('vadi'), samvadi: col('samvadi'), pakad: col('pakad'),
+    prahar: col('prahar'), season: col('season'), rasa: col('rasa')
+  };
+  const out = [];
+  for (let i = 1; i < lines.length; i++) {
+    const parts = lines[i].split(',');
+    const cell = (key) => {
+      const v = idx[key] === -1 ? '' : (parts[idx[key]] || '').trim();
+      return v === '' ? null : v;
+    };
+    const list = (key) => (cell(key) || '').split('/').map(s => s.trim().toLowerCase()).filter(Boolean);
+    const name = cell('name');
+    const aroha = cell('aroha');
+    const avroh = cell('avroh');
+    if (!name || !aroha || !avroh) continue;
+    const aarohData = parseSwaraSequence(aroha);
+    const avrohData = parseSwaraSequence(avroh);
+    // use chalan columns if available, otherwise fall back to aaroh/avroh
+    const aarohNotation = parseChalanNotation(cell('arohaChalan') || aroha, 'aaroh');
+    const avrohNotation = parseChalanNotation(cell('avrohChalan') || avroh, 'avroh');
+    out.push({
+      name,
+      notePattern: combinePatterns(aarohData.pattern, avrohData.pattern),
+      aarohPattern: aarohData.pattern,
+      avrohPattern: avrohData.pattern,
+      aarohChalan: notationPitchClasses(aarohNotation),
+      avrohChalan: notationPitchClasses(avrohNotation),
+      aarohNotation: serializeNotation(aarohNotation),
+      avrohNotation: serializeNotation(avrohNotation),
+      thaat: cell('thaat'),
+      vadi: parseSwaraNote(cell('vadi')),
+      samvadi: parseSwaraNote(cell('samvadi')),
+      pakad: cell('pakad'),
+      prahar: list('prahar'),
+      season: cell('season') ? cell('season').toLowerCase() : null,
+      rasa: list('rasa')
+    });
+  }
+  return out;
+}
+
+// ---- Carnatic melakarta CSV (melakarta_72.csv) ----
+
+// carnaticSwaras index order: S, R1, R2, G1, R3, G2, G3, M1, M2, P, D1, D2, N1, D3, N2, N3
+export const carnaticSwaraNames = ['S', 'R1', 'R2', 'G1', 'R3', 'G2', 'G3', 'M1', 'M2', 'P', 'D1', 'D2', 'N1', 'D3', 'N2', 'N3'];
+export const carnaticSwaraPitchClasses = [0, 1, 2, 2, 3, 3, 4, 5, 6, 7, 8, 9, 9, 10, 10, 11];
+
+// Map Carnatic swaras to 12-TET pitch classes relative to Sa (0).
+// R/G share slots (R2=G1, R3=G2) and D/N share slots (D2=N1, D3=N2).
+export function parseMelakartaSwaras(swarasString) {
+  const present = emptyPattern();
+  const carnaticSwaras = new Array(16).fill(false);
+  const tokens = String(swarasString || '').trim().split(/\s+/);
+  for (const t of tokens) {
+    // normalize unicode subscripts to ASCII digits
+    const norm = t.replace(/₁/g, '1').replace(/₂/g, '2').replace(/₃/g, '3');
+    const idx = carnaticSwaraNames.indexOf(norm);
+    if (idx === -1) continue;
+    carnaticSwaras[idx] = true;
+    present[carnaticSwaraPitchClasses[idx]] = 1;
+  }
+  // ensure Sa is present
+  present[0] = 1;
+  carnaticSwaras[0] = true;
+  return { notePattern: present, carnaticSwaras };
+}
+
+// Columns: number,name,swaras
+export function parseMelakartaCSV(csvText) {
+  const lines = csvText.split(/\r?\n/).filter(Boolean);
+  const out = [];
+  for (let i = 1; i < lines.length; i++) {
+    const parts = lines[i].split(',');
+    if (parts.length < 3) continue;
+    const number = parseInt(parts[0], 10);
+    const name = parts[1]?.trim();
+    const swaras = parts.slice(2).join(',').trim(); // handle commas in names safely
+    if (!name || !swaras) continue;
+    const { notePattern, carnaticSwaras } = parseMelakartaSwaras(swaras);
+    out.push({
+      number,
+      name,
+      notePattern,
+      carnaticSwaras,
+      aarohPattern: notePattern,
+      avrohPattern: notePattern
+    });
+  }
+  return out;
+}
+
+// ---- Carnatic janya ragas (janya_ragas.csv) ----
+
+const normalizeCarnaticToken = (t) => t.replace(/₁/g, '1').replace(/₂/g, '2').replace(/₃/g, '3');
+
+// An arohanam or avarohanam in Carnatic swaras (S R2 G3 M1 P D2 S), space-separated in the order they
+// are sung, so vakra turns and varja (omitted) swaras stay as written. .N2 is mandra and S' taar, as
+// in the Bhatkhande notation; unmarked text has a taar closing Sa in the arohanam and opening Sa in the
+// avarohanam. Returns { pattern, carnaticSwaras, notation, unknown }: notation is the parsed Bhatkhande
+// form, so the chalan and vakra tools read a janya like any Hindustani raga; unknown lists tokens that
+// are not swaras.
+export function parseCarnaticSequence(text, direction = 'aaroh') {
+  const pattern = emptyPattern();
+  const carnaticSwaras = new Array(16).fill(false);
+  const unknown = [];
+  const words = [];
+  String(text || '').trim().split(/\s+/).filter(Boolean).forEach(token => {
+    const m = normalizeCarnaticToken(token).match(/^(\.*)([SP]|[RGMDN][123])('*)$/);
+    const idx = m ? carnaticSwaraNames.indexOf(m[2]) : -1;
+    if (idx === -1) {
+      unknown.push(token);
+      return;
+    }
+    const pc = carnaticSwaraPitchClasses[idx];
+    carnaticSwaras[idx] = true;
+    pattern[pc] = 1;
+    words.push(`${m[1]}${swaraLetters[pc]}${m[3]}`);
+  });
+  return { pattern, carnaticSwaras, notation: parseChalanNotation(words.join(' '), direction), unknown };
+}
+
+// Columns (located by header name): name,melakarta,arohanam,avarohanam[,vakra]. melakarta is the
+// parent's number; with the parsed melakartas the parent's name is filled in too. vakra marks rows
+// whose turns are meant; only lib/validate.js reads it (the vakra search works from the sequences).
+export function parseJanyaCSV(csvText, melakartas = []) {
+  const lines = csvText.split(/\r?\n/).filter(Boolean);
+  const header = (lines[0] || '').split(',').map(h => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const idx = { name: col('name'), melakarta: col('melakarta'), arohanam: col('arohanam'), avarohanam: col('avarohanam') };
+  const out = [];
+  for (let i = 1; i < lines.length; i++) {
+    const parts = lines[i].split(',');
+    const cell = (key) => (idx[key] === -1 ? '' : (parts[idx[key]] || '').trim());
+    const name = cell('name');
+    const number = parseInt(cell('melakarta'), 10);
+    if (!name || !cell('arohanam') || !cell('avarohanam')) continue;
+    const aaroh = parseCarnaticSequence(cell('arohanam'), 'aaroh');
+    const avroh = parseCarnaticSequence(cell('avarohanam'), 'avroh');
+    const parent = melakartas.find(m => m.number === number);
+    out.push({
+      name,
+      melakarta: Number.isInteger(number) ? number : null,
+      parent: parent ? parent.name : null,
+      janya: true,
+      notePattern: combinePatterns(aaroh.pattern, avroh.pattern),
+      aarohPattern: aaroh.pattern,
+      avrohPattern: avroh.pattern,
+      carnaticSwaras: aaroh.carnaticSwaras.map((v, k) => v || avroh.carnaticSwaras[k]),
+      arohanam: cell('arohanam'),
+      avarohanam: cell('avarohanam'),
+      aarohChalan: notationPitchClasses(aaroh.notation),
+      avrohChalan: notationPitchClasses(avroh.notation),
+      aarohNotation: serializeNotation(aaroh.notation),
+      avrohNotation: serializeNotation(avroh.notation)
+    });
+  }
+  return out;
+}
+
+// Browser helper: fetch the CSVs relative to the page and parse them
+export async function fetchRagaDatabase(base = '.') {
+  const load = (file) => fetch(`${base}/${file}`).then(r => {
+    if (!r.ok) throw new Error(`Failed to load ${file} (${r.status})`);
+    return r.text();
+  });
+  const [hindustaniText, melakartaText, janyaText] = await Promise.all(['aarohavroha.csv', 'melakarta_72.csv', 'janya_ragas.csv'].map(load));
+  const melakarta = parseMelakartaCSV(melakartaText);
+  return {
+    hindustani: parseAarohAvrohCSV(hindustaniText),
+    melakarta,
+    janya: parseJanyaCSV(janyaText, melakarta)
+  };
+}
+
+// ---- Chord generation ----
+
+// The next chord tone above the top of the stack: a minor or major third up, whichever `fits`
+// (a pitch-class test, e.g. membership in the raga). Prefers the third that turns the chord into a
+// registry type, so Major + 11 is a Major 7 and Dominant 7 + 14 a Dominant 9. Returns the extended
+// absolute intervals with the type they form (or null), or null when the chord cannot grow.
+export function extendIntervals(baseIntervals, fits = () => true, types = chordTypes) {
+  if (!baseIntervals || baseIntervals.length < 3) return null;
+  const top = Math.max(...baseIntervals);
+  const used = new Set(baseIntervals.map(v => v % 12));
+  const options = [top + 3, top + 4]
+    .filter(iv => iv < 24 && !used.has(iv % 12) && fits(iv % 12))
+    .map(iv => {
+      const intervals = [...baseIntervals, iv];
+      return { intervals, type: findTypeByIntervals(intervals, types) || findTypeByIntervals(intervals, chordTypes) };
+    });
+  if (!options.length) return null;
+  return options.find(o => o.type) || options[0];
+}
+
+function findTypeByIntervals(intervals, types) {
+  const key = [...new Set(intervals.map(v => v % 12))].sort((a, b) => a - b).join();
+  return types.find(t => [...new Set(t.intervals.map(v => v % 12))].sort((a, b) => a - b).join() === key) || null;
+}
+
+function selectChordTypes(chordId, types) {
+  return chordId === 'all' || !chordId ? types : types.filter(c => c.id === chordId);
+}
+
+// One chord of type ct on root. With extend, a third is stacked on top when one fits; the chord keeps
+// its own type (for grouping) and records the type it grew into as extendedType.
+function buildChord(ct, root, labels, extend, fits, types) {
+  const grown = extend ? extendIntervals(ct.intervals, pc => fits((root + pc) % 12), types) : null;
+  const intervals = grown ? grown.intervals : ct.intervals;
+  return {
+    root,
+    rootName: labels[root],
+    notes: intervals.map(x => (root + x) % 12),
+    type: ct,
+    isExtended: !!grown,
+    ...(grown ? { extendedType: grown.type, addedInterval: intervals[intervals.length - 1] } : {})
+  };
+}
+
+// options.types overrides the chord type table, options.labels the root names (e.g. carnaticLabels)
+export function availableChordsForPattern(pattern, chordId, extend = false, options = {}) {
+  const { types = chordTypes, labels = swarNames } = options;
+  const result = [];
+  selectChordTypes(chordId, types).forEach(ct => {
+    for (let root = 0; root < 12; root++) {
+      if (!pattern[root]) continue;
+      const chord = buildChord(ct, root, labels, extend, pc => !!pattern[pc], types);
+      if (chord.notes.every(n => pattern[n])) result.push(chord);
+    }
+  });
+  return result;
+}
+
+// like availableChordsForPattern, but allows a limited number of notes outside the given pattern
+// minOutside defaults to 1 so that results truly contain something outside; maxOutside caps the number allowed
+export function availableChordsAllowingOutside(pattern, chordId, extend = false, minOutside = 1, maxOutside = 1, enforceRootInPattern = true, options = {}) {
+  const { types = chordTypes, labels = swarNames } = options;
+  const result = [];
+  selectChordTypes(chordId, types).forEach(ct => {
+    for (let root = 0; root < 12; root++) {
+      if (enforceRootInPattern && !pattern[root]) continue;
+      // the extension itself may be the outside note
+      const chord = buildChord(ct, root, labels, extend, () => true, types);
+      const outsideCount = chord.notes.reduce((acc, n) => acc + (pattern[n] ? 0 : 1), 0);
+      const chordMaxOutside = Math.max(0, Math.min(maxOutside, chord.notes.length - 1));
+      if (outsideCount >= minOutside && outsideCount <= chordMaxOutside) {
+        result.push({ ...chord, outsideCount });
+      }
+    }
+  });
+  return result;
+}
+
+// Every chord again over each other pattern note as its bass (C/E, D/C). The bass joins the chord's
+// notes when it is not already a chord tone; it always comes from the pattern, so it never adds an
+// outside note.
+export function slashChords(chords, pattern, labels = swarNames) {
+  const result = [];
+  chords.forEach(chord => {
+    for (let bass = 0; bass < 12; bass++) {
+      if (bass === chord.root || !pattern[bass]) continue;
+      const notes = chord.notes.includes(bass) ? chord.notes : [...chord.notes, bass];
+      result.push({ ...chord, notes, bass, bassName: labels[bass] });
+    }
+  });
+  return result;
+}
+
+export function filterChordsByNote(chords, selectedNote, mode) {
+  if (selectedNote === undefined || selectedNote === null) return chords;
+  if (mode === 'any') return chords.filter(c => c.notes.includes(selectedNote));
+  // default 'root'
+  return chords.filter(c => c.root === selectedNote);
+}
+
+export function chordQuality(type) {
+  if (!type) return '';
+  if (typeof type.symbol === 'string') return type.symbol;
+  return Object.prototype.hasOwnProperty.call(chordQualities, type.id) ? chordQualities[type.id] : type.name;
+}
+
+// Symbol suffix for a chord as built: the type it extended into, else its own type with the added
+// tone (Cm(add♭13) for an extension no registry type names)
+function chordSymbol(chord) {
+  if (chord.extendedType) return chordQuality(chord.extendedType);
+  const base = chordQuality(chord.type);
+  return chord.isExtended && chord.addedInterval !== undefined ? `${base}(add${intervalDegree(chord.addedInterval)})` : base;
+}
+
+// Display name in swaras, e.g. "Pa Major 7" or "Sa Major / Ga"
+export function chordLabel(chord) {
+  const name = chord.extendedType ? chord.extendedType.name : chord.type ? chord.type.name : '';
+  const added = !chord.extendedType && chord.isExtended && chord.addedInterval !== undefined ? ` add ${intervalDegree(chord.addedInterval)}` : '';
+  const bass = chord.bass !== undefined && chord.bass !== null ? ` / ${chord.bassName}` : '';
+  return `${chord.rootName} ${name}${added}${bass}`;
+}
+
+// ---- Western spelling ----
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCHES = [0, 2, 4, 5, 7, 9, 11];
+const ACCIDENTALS = { '-2': '𝄫', '-1': '♭', 0: '', 1: '♯', 2: '𝄪' };
+// Letters above the reference per pitch class: Re♭ and Re are both a second, Ma and Ma♯ both a
+// fourth. Read from C it spells Sa as the usual key names (D♭, E♭, F♯, A♭, B♭).
+const SWARA_STEPS = [0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6];
+
+// Pitch class on a given letter: C♯ and D♭ are the same key but not the same note
+function spellOnLetter(letter, pitchClass) {
+  const offset = ((pitchClass - LETTER_PITCHES[letter] + 18) % 12) - 6;
+  return offset in ACCIDENTALS ? `${LETTERS[letter]}${ACCIDENTALS[offset]}` : westernNotesFlat[pitchClass];
+}
+
+// Letters above the root for a chord tone `offset` semitones up, from the interval the chord's type
+// (or the type it extended into) stacks there, so a ♯11 is a fourth and a ♭5 a fifth. null when the
+// type has no such interval (a slash chord's foreign bass).
+function toneSteps(chord, offset) {
+  const stacked = [
+    ...(chord.type && chord.type.intervals ? chord.type.intervals : []),
+    ...(chord.extendedType && chord.extendedType.intervals ? chord.extendedType.intervals : []),
+    ...(chord.addedInterval !== undefined ? [chord.addedInterval] : [])
+  ];
+  const interval = stacked.length ? stacked.find(x => x % 12 === offset) : offset;
+  if (interval === undefined) return null;
+  return (parseInt(intervalDegree(interval).replace(/[♭♯]/g, ''), 10) - 1) % 7;
+}
+
+// The root is spelled from its swara (Ma♯ on C is F♯, Dha♭ is A♭) and every chord tone from the root
+// and its interval (the third of D is F♯); a bass that is no chord tone is spelled from its swara too.
+export function attachWesternNames(chords, tonicIndex) {
+  if (tonicIndex === undefined || tonicIndex === null) return chords;
+  const saLetter = SWARA_STEPS[tonicIndex % 12];
+  const fromSwara = (pc) => spellOnLetter((saLetter + SWARA_STEPS[pc]) % 7, (pc + tonicIndex) % 12);
+  return chords.map(chord => {
+    const rootLetter = (saLetter + SWARA_STEPS[chord.root]) % 7;
+    const spell = (n) => {
+      const steps = toneSteps(chord, (n - chord.root + 12) % 12);
+      return steps === null ? fromSwara(n) : spellOnLetter((rootLetter + steps) % 7, (n + tonicIndex) % 12);
+    };
+    const bass = chord.bass !== undefined && chord.bass !== null ? `/${spell(chord.bass)}` : '';
+    return { ...chord, westernName: `${spell(chord.root)}${chordSymbol(chord)}${bass}: ${chord.notes.map(spell).join(' - ')}` };
+  });
+}
+
+// Name a set of sounding pitch classes (relative to Sa) as one of the chord types. The bass note is
+// preferred as the root so inversions keep their written root; otherwise the chord is named over its
+// bass as a slash chord (an inversion, or a type over a foreign bass note). Returns a chord object in
+// the same shape availableChordsForPattern produces, or null when no type has these notes.
+export function identifyChord(pitchClasses, bass = null, options = {}) {
+  const { types = chordTypes, labels = swarNames } = options;
+  const set = [...new Set(pitchClasses.map(p => ((p % 12) + 12) % 12))];
+  const b = bass === null ? null : ((bass % 12) + 12) % 12;
+  const match = (pcs, roots) => {
+    for (const root of roots) {
+      for (const ct of types) {
+        const notes = ct.intervals.map(x => (root + x) % 12);
+        if (notes.length === pcs.length && notes.every(n => pcs.includes(n))) return { root, notes, type: ct };
+      }
+    }
+    return null;
+  };
+  const found = match(set, b === null ? set : [b, ...set.filter(p => p !== b)]);
+  const upper = b !== null && !found && set.length > 3 ? set.filter(p => p !== b) : null;
+  const over = upper ? match(upper, upper) : null;
+  const hit = found || over;
+  if (!hit) return null;
+  const chord = { root: hit.root, rootName: labels[hit.root], notes: over ? [...hit.notes, b] : hit.notes, type: hit.type, isExtended: false };
+  return b !== null && b !== hit.root ? { ...chord, bass: b, bassName: labels[b] } : chord;
+}
+
+// ---- Voicing ----
+
+export const voicingStyles = [
+  { id: 'close', name: 'Close' },
+  { id: 'open', name: 'Open' },
+  { id: 'drop2', name: 'Drop 2' },
+  { id: 'inversion1', name: '1st inversion' },
+  { id: 'inversion2', name: '2nd inversion' },
+  { id: 'inversion3', name: '3rd inversion' },
+  { id: 'smooth', name: 'Smooth voice-leading' }
+];
+
+// Stack pitch classes upward from `start` (semitones from Sa of octave 0), each strictly above the last
+function stackUp(pcs, start) {
+  const out = [];
+  let last = start - 1;
+  pcs.forEach(pc => {
+    let n = start + ((((pc - start) % 12) + 12) % 12);
+    while (n <= last) n += 12;
+    out.push(n);
+    last = n;
+  });
+  return out;
+}
+
+const rotateNotes = (pcs, k) => [...pcs.slice(k), ...pcs.slice(0, k)];
+
+// Movement between two voicings: every note's distance to the nearest note of the other chord
+function leadingCost(a, b) {
+  const nearest = (n, chord) => Math.min(...chord.map(m => Math.abs(n - m)));
+  return a.reduce((s, n) => s + nearest(n, b), 0) + b.reduce((s, n) => s + nearest(n, a), 0);
+}
+
+const mean = (arr) => arr.reduce((s, v) => s + v, 0) / arr.length;
+
+// Absolute MIDI notes for a chord's Sa-relative notes (root first). Close position stacks upward from
+// the root in `octave` (4 puts Sa at middle C when tonic is 0); open raises every second note an
+// octave; drop2 lowers the second-highest note; 'smooth' picks the inversion and octave closest to
+// `previous` (the last chord's MIDI notes) and falls back to close position without one.
+// A slash chord's `bass` is taken out of the upper voices and placed below them.
+export function voiceChord(notes, { style = 'close', tonic = 0, octave = 4, previous = null, bass = null } = {}) {
+  if (!notes || !notes.length) return [];
+  if (bass !== null && bass !== undefined) {
+    const b = ((bass % 12) + 12) % 12;
+    const upperNotes = notes.filter(n => ((n % 12) + 12) % 12 !== b);
+    const upper = voiceChord(upperNotes.length ? upperNotes : notes, { style, tonic, octave, previous });
+    let low = 12 + octave * 12 + b + tonic;
+    while (low >= upper[0]) low -= 12;
+    return [Math.max(0, low), ...upper];
+  }
+  const pcs = notes.map(n => ((n % 12) + 12) % 12);
+  const base = octave * 12;
+  const close = stackUp(pcs, base);
+  let voiced = close;
+  if (style.startsWith('inversion')) {
+    const k = Math.min(parseInt(style.slice(9), 10) || 0, pcs.length - 1);
+    voiced = stackUp(rotateNotes(pcs, k), base);
+  } else if (style === 'open' && close.length >= 3) {
+    voiced = close.map((n, i) => (i % 2 === 1 ? n + 12 : n)).sort((a, b) => a - b);
+  } else if (style === 'drop2' && close.length >= 3) {
+    voiced = close.map((n, i) => (i === close.length - 2 ? n - 12 : n)).sort((a, b) => a - b);
+  } else if (style === 'smooth' && previous && previous.length) {
+    const prev = previous.map(m => m - 12 - tonic);
+    const center = mean(close);
+    let best = null;
+    pcs.forEach((_, k) => {
+      const inverted = stackUp(rotateNotes(pcs, k), base);
+      [-12, 0, 12].forEach(shift => {
+        const candidate = inverted.map(n => n + shift);
+        // a little weight on register keeps a long progression from wandering off the keyboard
+        const cost = leadingCost(candidate, prev) + 0.25 * Math.abs(mean(candidate) - center);
+        if (!best || cost < best.cost) best = { cost, candidate };
+      });
+    });
+    voiced = best.candidate;
+  }
+  return voiced.map(n => Math.max(0, Math.min(127, 12 + n + tonic)));
+}
+
+// Voice a sequence of chords (arrays of Sa-relative notes, or chord objects so slash chords keep
+// their bass), threading the previous voicing for 'smooth'
+export function voiceProgression(chordNotes, options = {}) {
+  let previous = null;
+  return chordNotes.map(item => {
+    const notes = Array.isArray(item) ? item : (item && item.notes) || [];
+    const bass = Array.isArray(item) || !item ? null : item.bass ?? null;
+    const midi = voiceChord(notes, { ...options, previous, bass });
+    if (midi.length) previous = midi;
+    return midi;
+  });
+}
+
+// every root at which a set of absolute stacked intervals fits inside the pattern
+export function findCustomMatches(pattern, intervalsAbs, labels = swarNames) {
+  const pcs = intervalsAbs.map(v => ((v % 12) + 12) % 12);
+  const matches = [];
+  for (let root = 0; root < 12; root++) {
+    const notes = pcs.map(iv => (root + iv) % 12);
+    if (notes.every(i => pattern[i])) {
+      matches.push({ root, rootName: labels[root], notes });
+    }
+  }
+  return matches;
+}
+
+// basic/extended chord totals across every chord type
+export function aggregateChordCounts(patterns, extend = false, types = chordTypes) {
+  let basic = 0, extended = 0;
+  patterns.forEach(pattern => {
+    types.forEach(ct => {
+      const arr = availableChordsForPattern(pattern, ct.id, extend, { types });
+      basic += arr.filter(c => !c.isExtended).length;
+      extended += arr.filter(c => c.isExtended).length;
+    });
+  });
+  return { basic, extended };
+}
+
+// ---- Parent scale classification (thaat / melakarta) ----
+
+// How a raga's notePattern sits inside a 7-note parent scale. missing = raga swaras the parent lacks,
+// extra = parent swaras the raga omits. Confidence is the overlap over the union (1 = identical scale).
+export function compareWithParent(pattern, parentPattern) {
+  const missing = [], extra = [];
+  let shared = 0;
+  for (let i = 0; i < 12; i++) {
+    if (pattern[i] && parentPattern[i]) shared++;
+    else if (pattern[i]) missing.push(i);
+    else if (parentPattern[i]) extra.push(i);
+  }
+  const confidence = Math.round((shared / (shared + missing.length + extra.length)) * 100) / 100;
+  return { contains: missing.length === 0, missing, extra, confidence };
+}
+
+// Rank candidate parents ({ name, notePattern, ... }) for a pattern: every exact container, plus the
+// `nearest` closest non-containers (fewest missing swaras, then fewest extra).
+export function rankParents(pattern, parents, nearest = 3, labels = swarNames) {
+  const scored = parents.map(p => {
+    const cmp = compareWithParent(pattern, p.notePattern);
+    return {
+      ...p,
+      ...cmp,
+      missingSwaras: cmp.missing.map(i => labels[i]),
+      extraSwaras: cmp.extra.map(i => labels[i])
+    };
+  }).sort((a, b) =>
+    a.missing.length - b.missing.length || a.extra.length - b.extra.length || b.confidence - a.confidence
+  );
+  return {
+    exact: scored.filter(p => p.contains),
+    nearest: scored.filter(p => !p.contains).slice(0, nearest)
+  };
+}
+
+// Thaat and melakarta parents for a raga. `best` is the top exact container (or nearest match when
+// none contains the raga), preferring the raga's declared thaat on a tie; several equally good
+// parents divide the confidence between them.
+export function classifyParents(raga, melakartas, nearest = 3) {
+  const summarize = (ranked, preferred = null) => {
+    const pool = ranked.exact.length ? ranked.exact : ranked.nearest;
+    if (!pool.length) return { ...ranked, best: null, confidence: 0 };
+    const tied = pool.filter(p => p.missing.length === pool[0].missing.length && p.extra.length === pool[0].extra.length);
+    const top = tied.find(p => p.name === preferred) || tied[0];
+    return { ...ranked, best: top.name, confidence: Math.round((top.confidence / tied.length) * 100) / 100 };
+  };
+  const strip = (m) => ({ number: m.number, name: m.name, notePattern: m.notePattern });
+  return {
+    declaredThaat: raga.thaat || null,
+    thaat: summarize(rankParents(raga.notePattern, thaatScales, nearest), raga.thaat),
+    melakarta: summarize(rankParents(raga.notePattern, melakartas.map(strip), nearest))
+  };
+}
@@ -0,0 +1,127 @@
+// Minimal framework-agnostic router. Routes are { method, path, handler } where path may contain
+// :params and handler receives { method, path, params, query (URLSearchParams), headers (lowercase
+// names), body } and returns json(status, body). The same router is mounted as Express middleware
+// and as the Netlify handler; both hand their raw body to parseBody so routes see the same thing.
+
+export function json(statusCode, body) {
+  return { statusCode, body };
+}
+
+function compilePath(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map(seg => {
+      if (seg.startsWith(':')) {
+        keys.push(seg.slice(1));
+        return '([^/]+)';
+      }
+      return seg.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+export function createRouter(routes) {
+  const compiled = routes.map(r => ({ ...r, method: (r.method || 'GET').toUpperCase(), ...compilePath(r.path) }));
+
+  // returns null when no route path matches so Express can fall through to the next middleware
+  async function handle(request) {
+    const method = (request.method || 'GET').toUpperCase();
+    let pathMatched = false;
+    for (const route of compiled) {
+      const m = request.path.match(route.regex);
+      if (!m) continue;
+      pathMatched = true;
+      if (route.method !== method) continue;
+      const params = {};
+      try {
+        route.keys.forEach((k, i) => { params[k] = decodeURIComponent(m[i + 1]); });
+      } catch {
+        // a broken escape such as %E0%A4
+        return json(400, { error: 'Malformed URL' });
+      }
+      try {
+        return await route.handler({ ...request, method, params });
+      } catch (e) {
+        console.error(`Route ${route.method} ${route.path} failed`, e);
+        return json(500, { error: 'Internal server error' });
+      }
+    }
+    if (pathMatched) return json(405, { error: 'Method not allowed' });
+    return null;
+  }
+
+  return { handle };
+}
+
+const JSON_LIMIT = 100 * 1024;
+const isBinaryType = (type) => type.startsWith('audio/') || type === 'application/octet-stream';
+const isJsonType = (type) => type === 'application/json' || type.endsWith('+json');
+
+// The body a route receives: audio/* and application/octet-stream stay a Buffer, JSON must be an
+// object, any other content type is ignored ({}), as is an empty body. raw is a Buffer or null.
+// Returns { body } or { error } holding the json() response to send instead.
+export function parseBody(raw, contentType) {
+  if (!raw || !raw.length) return { body: {} };
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (isBinaryType(type)) return { body: raw };
+  if (!isJsonType(type)) return { body: {} };
+  if (raw.length > JSON_LIMIT) return { error: json(413, { error: 'Payload too large' }) };
+  let body;
+  try {
+    body = JSON.parse(raw.toString('utf8'));
+  } catch {
+    return { error: json(400, { error: 'Invalid JSON' }) };
+  }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: json(400, { error: 'Invalid JSON', details: 'The body must be a JSON object' }) };
+  }
+  return { body };
+}
+
+// Expects the body as a Buffer (express.raw for every content type, see index.js)
+export function toExpressMiddleware(router) {
+  return async (req, res, next) => {
+    try {
+      const url = new URL(req.originalUrl, 'http://localhost');
+      const parsed = parseBody(Buffer.isBuffer(req.body) ? req.body : null, req.headers['content-type']);
+      const result = parsed.error || await router.handle({
+        method: req.method,
+        path: url.pathname,
+        query: url.searchParams,
+        headers: req.headers,
+        body: parsed.body
+      });
+      if (!result) return next();
+      res.status(result.statusCode).json(result.body);
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+// Netlify passes the original /api/* URL in rawUrl when invoked through the redirect in netlify.toml,
+// and the function path when called directly
+export function toNetlifyHandler(router) {
+  return async (event) => {
+    const url = new URL(event.rawUrl || `https://x${event.path}`);
+    const pathname = url.pathname.replace(/^\/\.netlify\/functions\/api(?=\/|$)/, '/api');
+    const headers = Object.fromEntries(Object.entries(event.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+    const raw = event.body ? Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8') : null;
+    const parsed = parseBody(raw, headers['content-type']);
+    if (parsed.error) return respond(parsed.error);
+    const result = await router.handle({
+      method: event.httpMethod,
+      path: pathname,
+      query: url.searchParams,
+      headers,
+      body: parsed.body
+    });
+    return respond(result || json(404, { error: 'Not found' }));
+  };
+}
+
+function respond(result) {
+  return { statusCode: result.statusCode, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(result.body) };
+}
@@ -0,0 +1,749 @@
+// The /api/* route layer. index.js mounts it as Express middleware and netlify/functions/api.js
+// exports it as the function handler, so both deployments answer every request identically.
+
+import { createHash, timingSafeEqual } from 'crypto';
+import {
+  combinePatterns,
+  parseSwaraNote,
+  availableChordsForPattern,
+  availableChordsAllowingOutside,
+  filterChordsByNote,
+  slashChords,
+  attachWesternNames,
+  findCustomMatches,
+  aggregateChordCounts,
+  classifyParents,
+  voicingStyles,
+  voiceProgression
+} from './raga-theory.js';
+import { identifyPhrase } from './identify.js';
+import { readMelody, harmonizeMelody } from './harmonize.js';
+import { generateProgression, generatorParts } from './generate.js';
+import { findRagasForChords } from './chord-lookup.js';
+import { compareRagas } from './compare.js';
+import { parseQuery, applyQuery, withSearchFacts, isUnknownMetadata, knownMatchesFirst } from './query.js';
+import { planModulation } from './modulate.js';
+import { createInsights } from './insights.js';
+import { decodeWav, decodePcm, analyzeRecording } from './audio-analysis.js';
+import { taals, layas, vibhagMarkers } from './taal.js';
+import { tuningSystems, shrutis, ragaShrutiTables, tuningTable } from './tuning.js';
+import { readUser } from './library.js';
+import { createRagaStore } from './data.js';
+import { createRouter, json } from './router.js';
+
+// ---- query helpers ----
+
+const readBool = (query, key, fallback = 'false') => String(query.get(key) ?? fallback).toLowerCase() === 'true';
+
+const readInt = (query, key) => {
+  const raw = query.get(key);
+  if (raw === null || raw === undefined || raw === '') return null;
+  const n = parseInt(raw, 10);
+  return Number.isNaN(n) ? null : n;
+};
+
+// comma-separated pitch classes (0-11)
+const readSet = (query, key) => new Set((String(query.get(key) || '')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean)
+  .map(n => parseInt(n, 10))
+  .filter(n => Number.isInteger(n) && n >= 0 && n <= 11)));
+
+const isValidPattern = (p) => Array.isArray(p) && p.length === 12 && p.every(v => v === 0 || v === 1);
+
+// voicing (close | open | drop2 | inversion1-3 | smooth) adds absolute MIDI notes to every chord;
+// octave (default 4) places the root, smooth leads each chord from the one before it in the list
+const invalidVoicing = (query) => {
+  const voicing = query.get('voicing');
+  if (!voicing || voicingStyles.some(v => v.id === voicing)) return null;
+  return json(400, { error: `Unknown voicing ${voicing}`, voicings: voicingStyles.map(v => v.id) });
+};
+
+function attachVoicings(chords, query) {
+  const voicing = query.get('voicing');
+  if (!voicing) return chords;
+  const octave = readInt(query, 'octave');
+  const tonic = readInt(query, 'tonic');
+  const midi = voiceProgression(chords, {
+    style: voicing,
+    tonic: tonic !== null ? tonic : 0,
+    octave: octave !== null ? Math.max(0, Math.min(8, octave)) : 4
+  });
+  return chords.map((c, i) => ({ ...c, voicing, midi: midi[i] }));
+}
+
+// Shared by /api/ragas/:name/chords, /api/custom-scale/chords and bin/pakad.js; types is the chord
+// type registry.
+// Query params: part, chordType, extend, slash, selectedNote, filterMode, tonic, outside, maxOutside,
+// voicing, octave
+export function chordsForPatterns(patterns, query, types) {
+  const part = query.get('part') || 'all';
+  const chordType = query.get('chordType') || 'all';
+  const extendBool = readBool(query, 'extend');
+  const filterMode = query.get('filterMode') || 'root';
+  const outside = readBool(query, 'outside');
+  const maxOutside = readInt(query, 'maxOutside');
+  const minOutside = 1;
+
+  const pattern = part === 'aaroh' ? patterns.aaroh : part === 'avroh' ? patterns.avroh : patterns.all;
+  let chords = outside
+    ? availableChordsAllowingOutside(pattern, chordType, extendBool, minOutside, maxOutside === null ? 1 : Math.max(0, maxOutside), true, { types })
+    : availableChordsForPattern(pattern, chordType, extendBool, { types });
+  if (readBool(query, 'slash')) chords = chords.concat(slashChords(chords, pattern));
+  const sel = readInt(query, 'selectedNote');
+  const tnx = readInt(query, 'tonic');
+  if (sel !== null) chords = filterChordsByNote(chords, sel, filterMode);
+  if (tnx !== null) chords = attachWesternNames(chords, tnx);
+  return attachVoicings(chords, query);
+}
+
+// Server-side raga search and filtering (bin/pakad.js search runs it too)
+// Query params:
+//  q (the query language in lib/query.js, parsed by the route), search (raga name, matched loosely), scaleType ('any' | '5' | '6' | '7'), searchMode ('contains' | 'exact'), separate ('true'|'false')
+//  selectedNotes, excludedNotes, selectedAarohNotes, excludedAarohNotes, selectedAvrohNotes, excludedAvrohNotes (comma-separated ints, excluded of Sa)
+//  thaat, prahar, season, rasa (case-insensitive), vadi, samvadi (sargam letter such as G or a pitch class 0-11);
+//  a raga with the field blank is listed after the matches, with the field in `unknown`
+//  melakarta (number or name: that melakarta and its janyas), janya ('true' | 'false'), vakra ('true' | 'false')
+export function searchRagas(ragas, query, parsed = { terms: [], names: [] }) {
+  const search = (query.get('search') || '').trim();
+  const scaleType = query.get('scaleType') || 'any';
+  const searchMode = query.get('searchMode') || 'contains';
+  const separate = readBool(query, 'separate');
+
+  const selectedSet = readSet(query, 'selectedNotes');
+  const excludedSet = readSet(query, 'excludedNotes');
+  const selASet = readSet(query, 'selectedAarohNotes');
+  const excASet = readSet(query, 'excludedAarohNotes');
+  const selVSet = readSet(query, 'selectedAvrohNotes');
+  const excVSet = readSet(query, 'excludedAvrohNotes');
+
+  // Enrich with counts/jati and whether either part turns back on itself, then apply the query and
+  // the name (ranked best match first when there is one)
+  let filtered = applyQuery(ragas.map(withSearchFacts), {
+    terms: parsed.terms,
+    names: search ? [...parsed.names, search] : parsed.names
+  });
+
+  // Metadata filters. Most CSV rows leave these blank; such a raga stays in the results, after the
+  // known matches, with the field listed in `unknown`
+  const textParam = (key) => (query.get(key) || '').trim().toLowerCase();
+  const metadataKeys = [];
+  const filterMetadata = (key, matches) => {
+    metadataKeys.push(key);
+    filtered = filtered.filter(r => matches(r) || isUnknownMetadata(r, key));
+  };
+  const thaat = textParam('thaat');
+  if (thaat) filterMetadata('thaat', r => (r.thaat || '').toLowerCase() === thaat);
+  const prahar = textParam('prahar');
+  if (prahar) filterMetadata('prahar', r => (r.prahar || []).includes(prahar));
+  const season = textParam('season');
+  if (season) filterMetadata('season', r => r.season === season);
+  const rasa = textParam('rasa');
+  if (rasa) filterMetadata('rasa', r => (r.rasa || []).includes(rasa));
+  for (const key of ['vadi', 'samvadi']) {
+    if (!textParam(key)) continue;
+    const note = parseSwaraNote(query.get(key));
+    if (note === null) filtered = [];
+    else filterMetadata(key, r => r[key] === note);
+  }
+  const melakarta = textParam('melakarta');
+  if (melakarta) {
+    const number = /^\d+$/.test(melakarta) ? parseInt(melakarta, 10) : null;
+    filtered = filtered.filter(r => (number !== null
+      ? r.number === number || r.melakarta === number
+      : (r.number && r.name.toLowerCase() === melakarta) || (r.parent || '').toLowerCase() === melakarta));
+  }
+  for (const key of ['janya', 'vakra']) {
+    if (!textParam(key)) continue;
+    const wanted = readBool(query, key);
+    filtered = filtered.filter(r => !!r[key] === wanted);
+  }
+
+  // Scale type filter (by swara groups)
+  if (scaleType !== 'any') {
+    const target = parseInt(scaleType, 10);
+    if (!Number.isNaN(target)) filtered = filtered.filter(r => r.noteCount === target);
+  }
+
+  const exactMatch = (pattern, includeSet) => {
+    const withSa = new Set(includeSet); withSa.add(0);
+    return pattern.every((v, idx) => v === (withSa.has(idx) ? 1 : 0));
+  };
+  const applyIncludes = (key, includeSet) => {
+    if (includeSet.size === 0) return;
+    const withSa = new Set(includeSet); withSa.add(0);
+    const arr = Array.from(withSa);
+    filtered = searchMode === 'exact'
+      ? filtered.filter(r => exactMatch(r[key], includeSet))
+      : filtered.filter(r => arr.every(i => r[key][i] === 1));
+  };
+  const applyExcludes = (key, excludeSet) => {
+    if (excludeSet.size === 0) return;
+    const arr = Array.from(excludeSet);
+    filtered = filtered.filter(r => arr.every(i => r[key][i] === 0));
+  };
+
+  if (separate) {
+    applyIncludes('aarohPattern', selASet);
+    applyExcludes('aarohPattern', excASet);
+    applyIncludes('avrohPattern', selVSet);
+    applyExcludes('avrohPattern', excVSet);
+  } else {
+    applyIncludes('notePattern', selectedSet);
+    applyExcludes('notePattern', excludedSet);
+  }
+
+  return knownMatchesFirst(filtered, [...parsed.terms.map(t => t.key), ...metadataKeys]);
+}
+
+// adminToken: the X-Admin-Token value the /api/admin routes require; without one they answer 404
+export function createRoutes(store, { adminToken = null } = {}) {
+  // the request's library namespace (X-User header or ?user=); user is added to the request
+  const withUser = (handler) => (req) => {
+    const user = readUser(req.headers, req.query);
+    if (user.error) return json(400, user);
+    return handler({ ...req, user });
+  };
+
+  // /api/admin/* only for a request carrying the admin token (compared as digests, in constant time)
+  const digest = (text) => createHash('sha256').update(String(text)).digest();
+  const withAdmin = (handler) => (req) => {
+    if (!adminToken) return json(404, { error: 'Not found' });
+    if (!timingSafeEqual(digest(req.headers['x-admin-token'] || ''), digest(adminToken))) {
+      return json(401, { error: 'Admin token required', details: 'Send the ADMIN_TOKEN value in the X-Admin-Token header' });
+    }
+    return handler(req);
+  };
+
+  // CSV ragas and the user's saved ragas
+  const withRaga = (handler) => withUser((req) => {
+    const raga = store.findRaga(req.params.name, req.user);
+    if (!raga) return json(404, { error: 'Not found' });
+    return handler(req, raga);
+  });
+
+  // a raga by name from anywhere: the CSV, the janyas, the user's saved ragas, then the melakartas
+  const findAnyRaga = (name, user) => store.findRaga(name, user)
+    || store.getMelakartas().find(m => m.name.toLowerCase() === name.toLowerCase()) || null;
+
+  // One insights index for the CSVs alone and one per user with saved ragas, rebuilt when that
+  // user's ragas change (every save replaces the list)
+  const insightsCache = new Map();
+  const MAX_INSIGHTS_CACHED = 16;
+  const insightsFor = (user) => {
+    const own = store.getUserRagas(user);
+    const key = own.length ? user : '';
+    const hit = insightsCache.get(key);
+    if (hit && (!key || hit.own === own)) return hit.index;
+    const index = createInsights({ hindustani: store.getRagasFor(user), carnatic: [...store.getMelakartas(), ...store.getJanyas()] });
+    insightsCache.delete(key);
+    if (insightsCache.size >= MAX_INSIGHTS_CACHED) insightsCache.delete(insightsCache.keys().next().value);
+    insightsCache.set(key, { own, index });
+    return index;
+  };
+
+  // saveUserRaga / saveProgression results: the record, { errors } or { conflict }
+  const saved = (result, status) => {
+    if (result.errors) return json(400, { error: 'Invalid input', details: result.errors });
+    if (result.conflict) return json(409, { error: result.conflict });
+    return json(status, result);
+  };
+
+  // ragas to search by system: hindustani (default; the CSV and the user's saved ragas), carnatic (the
+  // melakartas and their janyas) or all
+  const ragasForSystem = (system, user = null) => {
+    const hindustani = user ? store.getRagasFor(user) : store.getRagas();
+    const carnatic = [...store.getMelakartas(), ...store.getJanyas()];
+    return system === 'carnatic' ? carnatic : system === 'all' ? [...hindustani, ...carnatic] : hindustani;
+  };
+
+  const chordLookup = (chords, { system, limit }) => {
+    const result = findRagasForChords(ragasForSystem(system), chords, {
+      types: store.getChordTypes(),
+      limit: limit && limit > 0 ? limit : 50
+    });
+    if (result.errors) return json(400, { error: 'Invalid chords', details: result.errors });
+    return json(200, result);
+  };
+
+  return [
+    { method: 'GET', path: '/api/health', handler: () => json(200, { ok: true }) },
+
+    { method: 'GET', path: '/api/chord-types', handler: () => json(200, store.getChordTypes()) },
+
+    // Save a chord type from the Custom Chord Builder. Body: { name, symbol?, intervals (absolute
+    // semitones from the root, e.g. [0, 4, 7, 14]), color? }
+    {
+      method: 'POST',
+      path: '/api/chord-types',
+      handler: ({ body }) => {
+        const type = store.addUserChordType(body);
+        if (type.error) return json(400, type);
+        return json(201, type);
+      }
+    },
+
+    {
+      method: 'DELETE',
+      path: '/api/chord-types/:id',
+      handler: ({ params }) => {
+        if (store.getUserChordTypes().some(t => t.id === params.id)) {
+          store.removeUserChordType(params.id);
+          return json(200, { deleted: params.id });
+        }
+        if (store.getChordTypes().some(t => t.id === params.id)) return json(400, { error: 'Built-in chord types cannot be removed' });
+        return json(404, { error: 'Not found' });
+      }
+    },
+
+    // Taal library: vibhags with sam/tali/khali markers and theka bols, plus the laya bands
+    {
+      method: 'GET',
+      path: '/api/taals',
+      handler: () => json(200, { taals: taals.map(t => ({ ...t, markers: vibhagMarkers(t) })), layas })
+    },
+
+    // Tuning systems, the 22 shrutis and the ragas that have their own shruti table
+    {
+      method: 'GET',
+      path: '/api/tuning',
+      handler: () => json(200, { systems: tuningSystems, shrutis, ragaTables: Object.keys(ragaShrutiTables) })
+    },
+
+    {
+      method: 'GET',
+      path: '/api/ragas',
+      handler: withUser(({ user }) => json(200, store.getRagasFor(user).map(r => ({ name: r.name, ...(r.source ? { source: r.source } : {}) }))))
+    },
+
+    // Query: system (hindustani | carnatic | all) plus the searchRagas filters
+    // q: e.g. "aaroh:+M -m avroh:+n jati:audav-sampoorna vakra:true notes:>=6 bhairo"; a system: term
+    // in it overrides ?system=, and without either a melakarta: or janya: term searches the Carnatic ragas
+    {
+      method: 'GET',
+      path: '/api/raga-search',
+      handler: withUser(({ query, user }) => {
+        const parsed = parseQuery(query.get('q') || '');
+        if (parsed.errors.length) return json(400, { error: 'Invalid query', details: parsed.errors });
+        const carnaticTerm = parsed.terms.some(t => t.key === 'melakarta' || t.key === 'janya');
+        const system = parsed.system || query.get('system') || (carnaticTerm ? 'carnatic' : null);
+        return json(200, searchRagas(ragasForSystem(system, user), query, parsed));
+      })
+    },
+
+    // The user library. Every route works in the namespace of the X-User header (or ?user=), the
+    // shared 'default' library without one. Saved ragas join the CSV ragas in /api/ragas,
+    // /api/raga-search and every /api/ragas/:name route for that user.
+    { method: 'GET', path: '/api/user-ragas', handler: withUser(({ user }) => json(200, store.getUserRagas(user))) },
+
+    // Body: { name, aarohPattern, avrohPattern (or notePattern), vadi?, samvadi?, thaat?, description? }
+    // or { name, aaroh: "S R G M P D N S'", avroh: "S' N D P M G R S", ... }
+    { method: 'POST', path: '/api/user-ragas', handler: withUser(({ body, user }) => saved(store.saveUserRaga(user, body), 201)) },
+
+    {
+      method: 'GET',
+      path: '/api/user-ragas/:name',
+      handler: withUser(({ params, user }) => {
+        const raga = store.getUserRagas(user).find(r => r.name.toLowerCase() === params.name.toLowerCase());
+        return raga ? json(200, raga) : json(404, { error: 'Not found' });
+      })
+    },
+
+    {
+      method: 'PUT',
+      path: '/api/user-ragas/:name',
+      handler: withUser(({ params, body, user }) => {
+        const current = store.getUserRagas(user).find(r => r.name.toLowerCase() === params.name.toLowerCase());
+        if (!current) return json(404, { error: 'Not found' });
+        // a full replacement; the name stays unless the body renames the raga
+        return saved(store.saveUserRaga(user, { name: current.name, ...(body || {}) }, current.name), 200);
+      })
+    },
+
+    {
+      method: 'DELETE',
+      path: '/api/user-ragas/:name',
+      handler: withUser(({ params, user }) => (store.removeUserRaga(user, params.name)
+        ? json(200, { deleted: params.name })
+        : json(404, { error: 'Not found' })))
+    },
+
+    { method: 'GET', path: '/api/progressions', handler: withUser(({ user }) => json(200, store.getProgressions(user))) },
+
+    // Body: { name, raga?, tonic?, chords: [{ notes, root?, type?, beat?, duration? }], session? }
+    { method: 'POST', path: '/api/progressions', handler: withUser(({ body, user }) => saved(store.saveProgression(user, body), 201)) },
+
+    {
+      method: 'GET',
+      path: '/api/progressions/:id',
+      handler: withUser(({ params, user }) => {
+        const progression = store.findProgression(user, params.id);
+        return progression ? json(200, progression) : json(404, { error: 'Not found' });
+      })
+    },
+
+    {
+      method: 'PUT',
+      path: '/api/progressions/:id',
+      handler: withUser(({ params, body, user }) => (store.findProgression(user, params.id)
+        ? saved(store.saveProgression(user, body, params.id), 200)
+        : json(404, { error: 'Not found' })))
+    },
+
+    {
+      method: 'DELETE',
+      path: '/api/progressions/:id',
+      handler: withUser(({ params, user }) => (store.removeProgression(user, params.id)
+        ? json(200, { deleted: params.id })
+        : json(404, { error: 'Not found' })))
+    },
+
+    // Ragas and tonics in which every chord fits, split by aaroh/avroh/all and ranked by coverage.
+    // GET ?chords=Am,F,G (symbols or dash-separated pitch classes from C such as 9-0-4), POST
+    // { chords: ['Am', [5, 9, 0]] }; both take system (hindustani | carnatic | all) and limit.
+    {
+      method: 'GET',
+      path: '/api/chord-lookup',
+      handler: ({ query }) => chordLookup(
+        String(query.get('chords') || '').split(',').map(s => s.trim()).filter(Boolean),
+        { system: query.get('system'), limit: readInt(query, 'limit') }
+      )
+    },
+    {
+      method: 'POST',
+      path: '/api/chord-lookup',
+      handler: ({ body }) => {
+        const { chords, system, limit } = body || {};
+        if (!Array.isArray(chords)) return json(400, { error: 'chords must be an array' });
+        return chordLookup(chords, { system, limit: Number.isInteger(limit) ? limit : null });
+      }
+    },
+
+    // Two or three ragas side by side: shared/unique swaras and chords per part, aaroh/avroh sequence
+    // diffs with vakra turns, murchanna relations. Query: ragas=A,B[,C] (Hindustani, melakarta or
+    // the user's saved ragas), extend, tonic
+    {
+      method: 'GET',
+      path: '/api/compare',
+      handler: withUser(({ query, user }) => {
+        const names = String(query.get('ragas') || '').split(',').map(s => s.trim()).filter(Boolean);
+        if (names.length < 2 || names.length > 3) return json(400, { error: 'ragas must name two or three ragas' });
+        const found = names.map(name => findAnyRaga(name, user));
+        const missing = names.filter((name, i) => !found[i]);
+        if (missing.length) return json(404, { error: `Not found: ${missing.join(', ')}` });
+        const tonic = readInt(query, 'tonic');
+        return json(200, compareRagas(found, {
+          types: store.getChordTypes(),
+          extend: readBool(query, 'extend'),
+          tonic: tonic !== null && tonic >= 0 && tonic <= 11 ? tonic : null
+        }));
+      })
+    },
+
+    // Pivot chords shared by two ragas and bridging progressions from one to the other. Query: from,
+    // to (raga names, as for /api/compare), fromTonic, toTonic (0-11, default 0), extend, limit
+    {
+      method: 'GET',
+      path: '/api/modulate',
+      handler: withUser(({ query, user }) => {
+        const fromName = String(query.get('from') || '').trim();
+        const toName = String(query.get('to') || '').trim();
+        if (!fromName || !toName) return json(400, { error: 'from and to must name a raga each' });
+        const tonics = ['fromTonic', 'toTonic'].map(key => readInt(query, key));
+        const badTonic = ['fromTonic', 'toTonic'].filter((key, i) => tonics[i] !== null && (tonics[i] < 0 || tonics[i] > 11));
+        if (badTonic.length) return json(400, { error: `${badTonic.join(', ')} must be 0-11` });
+        const source = findAnyRaga(fromName, user);
+        const target = findAnyRaga(toName, user);
+        const missing = [[fromName, source], [toName, target]].filter(([, r]) => !r).map(([name]) => name);
+        if (missing.length) return json(404, { error: `Not found: ${missing.join(', ')}` });
+        const limit = readInt(query, 'limit');
+        return json(200, planModulation(source, target, {
+          sourceTonic: tonics[0] ?? 0,
+          targetTonic: tonics[1] ?? 0,
+          types: store.getChordTypes(),
+          extend: readBool(query, 'extend'),
+          limit: limit !== null && limit > 0 ? Math.min(limit, 20) : 5
+        }));
+      })
+    },
+
+    // Data-quality report for the raga CSVs: malformed swaras, duplicate names, aaroh/avroh that turn
+    // without a Vakra flag, chalan swaras missing from the aaroh/avroh. severity=error keeps only the
+    // errors; the counts always cover everything. Needs the admin token (withAdmin).
+    {
+      method: 'GET',
+      path: '/api/admin/validate',
+      handler: withAdmin(({ query }) => {
+        const report = store.validateData();
+        const severity = query.get('severity');
+        if (severity && severity !== 'error' && severity !== 'warning') return json(400, { error: 'severity must be error or warning' });
+        return json(200, severity ? { ...report, issues: report.issues.filter(i => i.severity === severity) } : report);
+      })
+    },
+
+    // Relations across all ragas (CSV, melakartas, janyas and the user's saved ragas), computed once per
+    // data set. The summary gives the counts; each relation has its own endpoint.
+    {
+      method: 'GET',
+      path: '/api/insights',
+      handler: withUser(({ user }) => {
+        const index = insightsFor(user);
+        const { nodes, edges } = index.graph();
+        return json(200, {
+          ragas: {
+            hindustani: index.ragas.filter(r => r.type === 'hindustani').length,
+            carnatic: index.ragas.filter(r => r.type === 'carnatic').length
+          },
+          sameNotes: index.sameNotes().length,
+          murchanna: index.murchanna().length,
+          subsets: index.subsets().length,
+          graph: { nodes: nodes.length, edges: edges.length }
+        });
+      })
+    },
+    {
+      method: 'GET',
+      path: '/api/insights/same-notes',
+      handler: withUser(({ user }) => json(200, insightsFor(user).sameNotes()))
+    },
+    {
+      method: 'GET',
+      path: '/api/insights/murchanna',
+      handler: withUser(({ user }) => json(200, insightsFor(user).murchanna()))
+    },
+    {
+      method: 'GET',
+      path: '/api/insights/subsets',
+      handler: withUser(({ user }) => json(200, insightsFor(user).subsets()))
+    },
+
+    // The one-swara-apart network: nodes are note sets with their ragas, edges one swara added,
+    // dropped or moved a semitone
+    {
+      method: 'GET',
+      path: '/api/insights/graph',
+      handler: withUser(({ user }) => {
+        const { nodes, edges } = insightsFor(user).graph();
+        return json(200, { nodes, edges });
+      })
+    },
+    {
+      method: 'GET',
+      path: '/api/insights/neighbours/:name',
+      handler: withUser(({ params, user }) => {
+        const result = insightsFor(user).neighbours(params.name);
+        if (!result) return json(404, { error: 'Not found' });
+        return json(200, result);
+      })
+    },
+
+    // Fewest single-swara changes between two ragas. Query: from, to. length is null when no chain of
+    // ragas connects them.
+    {
+      method: 'GET',
+      path: '/api/insights/path',
+      handler: withUser(({ query, user }) => {
+        const from = String(query.get('from') || '').trim();
+        const to = String(query.get('to') || '').trim();
+        if (!from || !to) return json(400, { error: 'from and to must name a raga each' });
+        const result = insightsFor(user).shortestPath(from, to);
+        if (!result) return json(404, { error: 'Not found' });
+        return json(200, result);
+      })
+    },
+
+    // Generate chords for a custom-provided scale pattern
+    {
+      method: 'POST',
+      path: '/api/custom-scale/chords',
+      handler: ({ query, body }) => {
+        const voicingError = invalidVoicing(query);
+        if (voicingError) return voicingError;
+        const { notePattern, aarohPattern, avrohPattern } = body || {};
+        const patternAar = isValidPattern(aarohPattern) ? aarohPattern : null;
+        const patternAvr = isValidPattern(avrohPattern) ? avrohPattern : null;
+        let patternAll = isValidPattern(notePattern) ? notePattern : null;
+        if (!patternAll && (patternAar || patternAvr)) {
+          // derive combined from provided parts
+          patternAll = combinePatterns(patternAar || new Array(12).fill(0), patternAvr || new Array(12).fill(0));
+        }
+        if (!patternAll) {
+          return json(400, { error: 'Provide notePattern or aarohPattern/avrohPattern as arrays of 12 (0/1)' });
+        }
+        return json(200, chordsForPatterns({ all: patternAll, aaroh: patternAar || patternAll, avroh: patternAvr || patternAll }, query, store.getChordTypes()));
+      }
+    },
+
+    { method: 'GET', path: '/api/ragas/:name', handler: withRaga((req, raga) => json(200, raga)) },
+
+    // Rank ragas by how well an ordered phrase (Bhatkhande notation, e.g. N-R-G-M-D-N-S') fits their chalan
+    {
+      method: 'POST',
+      path: '/api/identify/phrase',
+      handler: ({ body }) => {
+        const { phrase, limit } = body || {};
+        if (typeof phrase !== 'string' || !phrase.trim()) return json(400, { error: 'phrase required' });
+        const n = Number.isInteger(limit) && limit > 0 ? limit : 10;
+        const result = identifyPhrase(store.getRagas(), phrase, n);
+        if (result.errors) return json(400, { error: 'Invalid phrase', details: result.errors });
+        return json(200, result);
+      }
+    },
+
+    // Identify the raga of a recording. Body: a WAV file, or headerless PCM with
+    // ?encoding=s16|s24|s32|f32&sampleRate=44100&channels=1. Optional ?tonic=0-11 skips tonic estimation.
+    {
+      method: 'POST',
+      path: '/api/identify/audio',
+      handler: ({ query, body }) => {
+        if (!Buffer.isBuffer(body) || body.length === 0) {
+          return json(400, { error: 'Send the recording as the request body with Content-Type audio/wav or application/octet-stream' });
+        }
+        let decoded;
+        try {
+          if (body.toString('ascii', 0, 4) === 'RIFF') {
+            decoded = decodeWav(body);
+          } else {
+            const sampleRate = readInt(query, 'sampleRate');
+            if (!sampleRate) return json(400, { error: 'sampleRate required for raw PCM' });
+            decoded = { sampleRate, samples: decodePcm(body, query.get('encoding') || 's16', readInt(query, 'channels') || 1) };
+          }
+        } catch (e) {
+          return json(400, { error: e.message });
+        }
+        const tonic = readInt(query, 'tonic');
+        const limit = readInt(query, 'limit');
+        const result = analyzeRecording(decoded.samples, decoded.sampleRate, store.getRagas(), {
+          tonic: tonic !== null && tonic >= 0 && tonic <= 11 ? tonic : null,
+          limit: limit && limit > 0 ? limit : 10
+        });
+        if (result.error) return json(422, result);
+        return json(200, result);
+      }
+    },
+
+    // Thaat and melakarta parents of a raga; nearest (default 3) caps the non-containing matches
+    {
+      method: 'GET',
+      path: '/api/ragas/:name/parents',
+      handler: withRaga(({ query }, raga) => {
+        const nearest = readInt(query, 'nearest');
+        return json(200, { name: raga.name, ...classifyParents(raga, store.getMelakartas(), nearest === null ? 3 : Math.max(0, nearest)) });
+      })
+    },
+
+    // Ratio and cents (and deviation from 12-TET) of each swara of the raga under a tuning system.
+    // Query: system (12tet | just | shruti | raga, default raga)
+    {
+      method: 'GET',
+      path: '/api/ragas/:name/tuning',
+      handler: withRaga(({ query }, raga) => {
+        const system = query.get('system') || 'raga';
+        if (!tuningSystems.some(t => t.id === system)) {
+          return json(400, { error: `Unknown tuning system ${system}`, systems: tuningSystems.map(t => t.id) });
+        }
+        const swaras = tuningTable(system, raga.name).filter(s => raga.notePattern[s.pitchClass]);
+        return json(200, { name: raga.name, system, swaras });
+      })
+    },
+
+    // Get chords for a raga
+    {
+      method: 'GET',
+      path: '/api/ragas/:name/chords',
+      handler: withRaga(({ query }, raga) => invalidVoicing(query)
+        || json(200, chordsForPatterns({ all: raga.notePattern, aaroh: raga.aarohPattern, avroh: raga.avrohPattern }, query, store.getChordTypes())))
+    },
+
+    // Ranked chord plans for a melody in the raga. Body: { notation: 'G M D N S\'' } (one matra per
+    // beat) or { notes: [{ swara, octave?, duration }] }, plus span (beats per chord or 'vibhag'),
+    // plans, extend, outside, maxOutside, tonic
+    {
+      method: 'POST',
+      path: '/api/ragas/:name/harmonize',
+      handler: withRaga(({ body }, raga) => {
+        const b = body || {};
+        const melody = readMelody(b);
+        if (melody.errors) return json(400, { error: 'Invalid melody', details: melody.errors });
+        const span = b.span === 'vibhag' ? 'vibhag' : Number(b.span) > 0 ? Number(b.span) : 1;
+        const intOr = (v, fallback) => (Number.isInteger(v) ? v : fallback);
+        const tonic = intOr(b.tonic, null);
+        return json(200, harmonizeMelody(raga, melody.notes, {
+          span,
+          plans: Math.max(1, Math.min(10, intOr(b.plans, 3))),
+          extend: b.extend === true,
+          outside: b.outside === true,
+          maxOutside: Math.max(0, intOr(b.maxOutside, 1)),
+          tonic: tonic !== null && tonic >= 0 && tonic <= 11 ? tonic : null,
+          types: store.getChordTypes()
+        }));
+      })
+    },
+
+    // Seeded progression for the raga. Query: length (1-32, default 4), types (comma-separated chord
+    // type ids), part (all | aaroh | avroh | arc), outside, maxOutside, extend, seed, tonic
+    {
+      method: 'GET',
+      path: '/api/ragas/:name/generate',
+      handler: withRaga(({ query }, raga) => {
+        const palette = String(query.get('types') || '').split(',').map(s => s.trim()).filter(Boolean);
+        const types = store.getChordTypes();
+        const unknown = palette.filter(id => !types.some(t => t.id === id));
+        if (unknown.length) return json(400, { error: `Unknown chord types: ${unknown.join(', ')}` });
+        const part = query.get('part') || 'all';
+        if (!generatorParts.includes(part)) return json(400, { error: `part must be one of ${generatorParts.join(', ')}` });
+        const length = readInt(query, 'length');
+        const maxOutside = readInt(query, 'maxOutside');
+        const tonic = readInt(query, 'tonic');
+        const rawSeed = (query.get('seed') || '').trim();
+        const result = generateProgression(raga, {
+          length: length === null ? 4 : Math.max(1, Math.min(32, length)),
+          palette,
+          part,
+          outside: readBool(query, 'outside'),
+          maxOutside: maxOutside === null ? 1 : Math.max(0, maxOutside),
+          extend: readBool(query, 'extend'),
+          ...(rawSeed ? { seed: /^\d+$/.test(rawSeed) ? parseInt(rawSeed, 10) : rawSeed } : {}),
+          tonic: tonic !== null && tonic >= 0 && tonic <= 11 ? tonic : null,
+          types
+        });
+        if (result.error) return json(422, result);
+        return json(200, result);
+      })
+    },
+
+    // Custom chord matches for a raga
+    {
+      method: 'POST',
+      path: '/api/ragas/:name/custom-matches',
+      handler: withRaga(({ body }, raga) => {
+        const { intervalsAbs } = body || {}; // e.g., [0,3,7,12]
+        if (!Array.isArray(intervalsAbs) || intervalsAbs.length === 0) {
+          return json(400, { error: 'intervalsAbs required' });
+        }
+        return json(200, {
+          aaroh: findCustomMatches(raga.aarohPattern, intervalsAbs),
+          avroh: findCustomMatches(raga.avrohPattern, intervalsAbs),
+          all: findCustomMatches(raga.notePattern, intervalsAbs)
+        });
+      })
+    },
+
+    // Aggregated counts
+    {
+      method: 'GET',
+      path: '/api/ragas/:name/aggregates',
+      handler: withRaga(({ query }, raga) => {
+        const parts = readBool(query, 'separate') ? [raga.aarohPattern, raga.avrohPattern] : [raga.notePattern];
+        return json(200, aggregateChordCounts(parts, readBool(query, 'extend'), store.getChordTypes()));
+      })
+    }
+  ];
+}
+
+// adminToken defaults to $ADMIN_TOKEN; unset, the admin routes stay off
+export function createApi({ dataDir, userDir, adminToken = process.env.ADMIN_TOKEN || null }) {
+  const store = createRagaStore(dataDir, { userDir });
+  return { store, router: createRouter(createRoutes(store, { adminToken })) };
+}
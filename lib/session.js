@@ -0,0 +1,108 @@
+// Saved sessions of the chord app: the raga, tonic, custom scale, progressions, rhythm cycles, MIDI
+// and playback settings as one versioned JSON document. The same document is written to files, kept
+// under a name in localStorage and packed into share URLs. Older documents are migrated on read.
+
+import { swarNames, chordTypes } from './raga-theory.js';
+
+export const SESSION_FORMAT = 'raga-chord-session';
+export const SESSION_VERSION = 1;
+
+// One step per version: migrations[n] turns a version n document into version n + 1
+const migrations = {
+  // version 0: the bare progression list the app used to keep in localStorage (ragaChordProgression)
+  0: (data) => ({
+    format: SESSION_FORMAT,
+    version: 1,
+    progression: (Array.isArray(data) ? data : []).map(item => packChord(item && item.chord)).filter(Boolean)
+  })
+};
+
+// A chord object reduced to what rebuilds it: registry types by id, the derived names dropped.
+// Chords without a registry type (the custom builder's) keep their type and names as they are.
+export function packChord(chord) {
+  if (!chord || !Array.isArray(chord.notes)) return null;
+  const registered = chord.type && chord.type.id;
+  return {
+    ...(Number.isInteger(chord.root) ? { root: chord.root } : {}),
+    notes: chord.notes,
+    type: registered ? chord.type.id : { name: (chord.type && chord.type.name) || 'Custom', color: (chord.type && chord.type.color) || '#6b7280' },
+    ...(chord.isExtended ? { isExtended: true } : {}),
+    ...(chord.extendedType ? { extendedType: chord.extendedType.id } : {}),
+    ...(chord.addedInterval !== undefined ? { addedInterval: chord.addedInterval } : {}),
+    ...(Number.isInteger(chord.bass) ? { bass: chord.bass } : {}),
+    ...(chord.outsideCount ? { outsideCount: chord.outsideCount } : {}),
+    ...(!registered && chord.rootName ? { rootName: chord.rootName } : {}),
+    ...(!registered && chord.westernName ? { westernName: chord.westernName } : {})
+  };
+}
+
+// Back to the chord object the app works with. A type id the registry no longer has (a deleted user
+// type) becomes a plain grey type so the chord still plays.
+export function unpackChord(packed, { types = chordTypes, labels = swarNames } = {}) {
+  if (!packed || !Array.isArray(packed.notes)) return null;
+  const findType = (id) => types.find(t => t.id === id) || { id, name: id, color: '#6b7280', intervals: [] };
+  const hasRoot = Number.isInteger(packed.root);
+  return {
+    ...(hasRoot ? { root: packed.root, rootName: labels[packed.root] } : { rootName: packed.rootName }),
+    notes: packed.notes,
+    type: typeof packed.type === 'string' ? findType(packed.type) : packed.type,
+    isExtended: !!packed.isExtended,
+    ...(packed.extendedType ? { extendedType: findType(packed.extendedType) } : {}),
+    ...(packed.addedInterval !== undefined ? { addedInterval: packed.addedInterval } : {}),
+    ...(Number.isInteger(packed.bass) ? { bass: packed.bass, bassName: labels[packed.bass] } : {}),
+    ...(packed.outsideCount ? { outsideCount: packed.outsideCount } : {}),
+    ...(packed.westernName ? { westernName: packed.westernName } : {})
+  };
+}
+
+// Bring any saved document (a file, a stored session, a decoded URL) up to SESSION_VERSION.
+// Returns { session } or { error }.
+export function migrateSession(data) {
+  let doc = data;
+  if (Array.isArray(doc)) doc = migrations[0](doc);
+  if (!doc || typeof doc !== 'object' || doc.format !== SESSION_FORMAT) {
+    return { error: 'Not a raga chord session file' };
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 0) return { error: 'The session has no valid version' };
+  if (doc.version > SESSION_VERSION) {
+    return { error: `The session was saved by a newer version (${doc.version}); this app reads up to ${SESSION_VERSION}` };
+  }
+  while (doc.version < SESSION_VERSION) doc = migrations[doc.version](doc);
+  return { session: doc };
+}
+
+const toBase64Url = (bytes) => {
+  let text = '';
+  bytes.forEach(b => { text += String.fromCharCode(b); });
+  return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const raw = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(raw, ch => ch.charCodeAt(0));
+};
+
+const pipe = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+// The session as one URL-safe token: deflated JSON ('z' prefix) where CompressionStream exists,
+// plain JSON ('j') elsewhere
+export async function encodeSessionForUrl(session) {
+  const json = new TextEncoder().encode(JSON.stringify(session));
+  if (typeof CompressionStream === 'function') {
+    return `z${toBase64Url(await pipe(json, new CompressionStream('deflate-raw')))}`;
+  }
+  return `j${toBase64Url(json)}`;
+}
+
+// Returns { session } or { error }, migrated like a file
+export async function decodeSessionFromUrl(token) {
+  try {
+    const text = String(token || '');
+    let bytes = fromBase64Url(text.slice(1));
+    if (text[0] === 'z') bytes = await pipe(bytes, new DecompressionStream('deflate-raw'));
+    else if (text[0] !== 'j') return { error: 'Unrecognized session link' };
+    return migrateSession(JSON.parse(new TextDecoder().decode(bytes)));
+  } catch (e) {
+    return { error: 'The session link is damaged or incomplete' };
+  }
+}
@@ -0,0 +1,117 @@
+// Taal library for the rhythm cycle: vibhag divisions, sam/tali/khali markers and theka bols for the
+// common Hindustani taals and two Carnatic talas, plus how each bol is struck so the same data drives
+// the synthesized percussion and the MIDI export.
+
+// vibhags: beats per division. claps: 'tali' or 'khali' per vibhag; sam is always beat 1.
+// theka: one entry per matra; compound bols (DhaGe, TiRaKiTa) are struck evenly within the matra.
+export const taals = [
+  {
+    id: 'teentaal', name: 'Teentaal', system: 'hindustani', beats: 16,
+    vibhags: [4, 4, 4, 4], claps: ['tali', 'tali', 'khali', 'tali'],
+    theka: ['Dha', 'Dhin', 'Dhin', 'Dha', 'Dha', 'Dhin', 'Dhin', 'Dha', 'Dha', 'Tin', 'Tin', 'Ta', 'Ta', 'Dhin', 'Dhin', 'Dha']
+  },
+  {
+    id: 'jhaptaal', name: 'Jhaptaal', system: 'hindustani', beats: 10,
+    vibhags: [2, 3, 2, 3], claps: ['tali', 'tali', 'khali', 'tali'],
+    theka: ['Dhi', 'Na', 'Dhi', 'Dhi', 'Na', 'Ti', 'Na', 'Dhi', 'Dhi', 'Na']
+  },
+  {
+    // Rupak begins on khali: its sam is waved, not clapped
+    id: 'rupak', name: 'Rupak', system: 'hindustani', beats: 7,
+    vibhags: [3, 2, 2], claps: ['khali', 'tali', 'tali'],
+    theka: ['Tin', 'Tin', 'Na', 'Dhi', 'Na', 'Dhi', 'Na']
+  },
+  {
+    id: 'ektaal', name: 'Ektaal', system: 'hindustani', beats: 12,
+    vibhags: [2, 2, 2, 2, 2, 2], claps: ['tali', 'khali', 'tali', 'khali', 'tali', 'tali'],
+    theka: ['Dhin', 'Dhin', 'DhaGe', 'TiRaKiTa', 'Tu', 'Na', 'Kat', 'Ta', 'DhaGe', 'TiRaKiTa', 'Dhi', 'Na']
+  },
+  {
+    id: 'dadra', name: 'Dadra', system: 'hindustani', beats: 6,
+    vibhags: [3, 3], claps: ['tali', 'khali'],
+    theka: ['Dha', 'Dhi', 'Na', 'Dha', 'Ti', 'Na']
+  },
+  {
+    id: 'keherwa', name: 'Keherwa', system: 'hindustani', beats: 8,
+    vibhags: [4, 4], claps: ['tali', 'khali'],
+    theka: ['Dha', 'Ge', 'Na', 'Ti', 'Na', 'Ka', 'Dhi', 'Na']
+  },
+  {
+    // laghu (4) + two drutams (2 + 2); the tala has no khali, every anga opens with a clap
+    id: 'adi', name: 'Adi', system: 'carnatic', beats: 8,
+    vibhags: [4, 2, 2], claps: ['tali', 'tali', 'tali'],
+    theka: ['Ta', 'Ka', 'Dhi', 'Mi', 'Ta', 'Ka', 'Ja', 'Nu']
+  },
+  {
+    id: 'misra-chapu', name: 'Misra Chapu', system: 'carnatic', beats: 7,
+    vibhags: [3, 2, 2], claps: ['tali', 'tali', 'tali'],
+    theka: ['Ta', 'Ki', 'Ta', 'Ta', 'Ka', 'Dhi', 'Mi']
+  }
+];
+
+// Laya (tempo band) in matras per minute; bpm is the default a laya switch applies
+export const layas = [
+  { id: 'vilambit', name: 'Vilambit', min: 30, max: 60, bpm: 48 },
+  { id: 'madhya', name: 'Madhya', min: 60, max: 120, bpm: 96 },
+  { id: 'drut', name: 'Drut', min: 120, max: 240, bpm: 192 }
+];
+
+export function findTaal(id) {
+  return taals.find(t => t.id === id) || null;
+}
+
+export function layaForBpm(bpm) {
+  return layas.find(l => bpm < l.max) || layas[layas.length - 1];
+}
+
+// Strokes per syllable: bayan is the bass drum, open/closed the ringing or damped treble stroke
+const STROKES = {
+  Dha: ['bayan', 'open'], Dhin: ['bayan', 'open'], Dhi: ['bayan', 'open'],
+  Ge: ['bayan'], Thom: ['bayan'],
+  Na: ['open'], Ta: ['open'], Tin: ['open'], Tu: ['open'], Ja: ['open'],
+  Ti: ['closed'], Ra: ['closed'], Ki: ['closed'], Ka: ['closed'], Kat: ['closed'], Mi: ['closed'], Nu: ['closed']
+};
+
+// General MIDI percussion keys (channel 10) standing in for the tabla strokes
+export const strokeMidiNotes = { bayan: 64, open: 63, closed: 62 };
+
+export const splitBol = (bol) => bol.match(/[A-Z][a-z]*/g) || [];
+
+// Vibhag start beats (0-based) and their markers: sam X, talis numbered in order counting sam as 1,
+// khali 0. A khali sam (Rupak) is shown as 0 but still counts as the first vibhag, so Rupak reads 0 2 3.
+export function vibhagMarkers(taal) {
+  let start = 0;
+  let tali = 0;
+  return taal.vibhags.map((length, i) => {
+    const clap = taal.claps[i];
+    if (clap === 'tali' || i === 0) tali++;
+    const label = clap === 'khali' ? '0' : i === 0 ? 'X' : String(tali);
+    const out = { start, length, clap, label, sam: i === 0 };
+    start += length;
+    return out;
+  });
+}
+
+// The vibhag a beat falls in, for snapping chords to divisions
+export function vibhagAt(taal, beat) {
+  const b = ((Math.floor(beat) % taal.beats) + taal.beats) % taal.beats;
+  return vibhagMarkers(taal).find(v => b >= v.start && b < v.start + v.length);
+}
+
+// Every stroke of one matra: { offset (fraction of the matra), bol, strokes, accent }. Sam is accented,
+// khali vibhags are played softer.
+export function strokesForBeat(taal, beat) {
+  const b = ((beat % taal.beats) + taal.beats) % taal.beats;
+  const vibhag = vibhagAt(taal, b);
+  const parts = splitBol(taal.theka[b]);
+  const accent = b === 0 ? 'sam' : vibhag.clap;
+  return parts.map((bol, i) => ({
+    offset: i / parts.length,
+    bol,
+    strokes: STROKES[bol] || ['open'],
+    accent: i === 0 ? accent : 'inner'
+  }));
+}
+
+// Relative loudness (0-1) per accent, shared by playback and the MIDI velocities
+export const accentGain = { sam: 1, tali: 0.8, khali: 0.6, inner: 0.55 };
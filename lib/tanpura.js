@@ -0,0 +1,140 @@
+// Synthesized tanpura drone. Each string is a Karplus-Strong plucked string with a jawari bridge: the
+// string's low excursions are flattened against the bridge, which keeps regenerating the upper
+// partials and gives the buzz that fades as the string settles. The rendering is plain arrays, so any
+// page (or an OfflineAudioContext) can cache it; createTanpuraPlayer loops it through Web Audio.
+
+import { seededRandom } from './generate.js';
+
+// String tunings in semitones from madhya Sa: the first string, two madhya Sa and the kharaj Sa
+export const tanpuraPatterns = [
+  { id: 'pa', name: 'Pa-Sa-Sa-Sa', strings: [-5, 0, 0, -12] },
+  { id: 'ma', name: 'Ma-Sa-Sa-Sa', strings: [-7, 0, 0, -12] },
+  { id: 'ni', name: 'Ni-Sa-Sa-Sa', strings: [-1, 0, 0, -12] }
+];
+
+// Where each string is plucked within a cycle; the pause after the kharaj closes the cycle
+const PLUCK_AT = [0, 0.22, 0.44, 0.66];
+const STRING_GAIN = [0.9, 0.8, 0.8, 1];
+const C3_HZ = 130.81;
+
+// One pluck as samples. jawari (0-1) brightens the string and sets how hard it rides the bridge.
+export function synthesizePluck(frequency, sampleRate, { seconds = 6, jawari = 0.5, seed = 1 } = {}) {
+  const random = seededRandom(seed);
+  const delay = sampleRate / frequency - 0.5; // the two-point average adds half a sample
+  const size = Math.ceil(delay) + 2;
+  const ring = new Float32Array(size);
+  // a soft pluck: noise smoothed so the attack is round rather than a click
+  let smooth = 0;
+  for (let i = 0; i < size; i++) {
+    smooth = 0.6 * smooth + 0.4 * (random() * 2 - 1);
+    ring[i] = smooth;
+  }
+  const peak = ring.reduce((m, v) => Math.max(m, Math.abs(v)), 0) || 1;
+  const bridge = -(1 - 0.75 * jawari) * peak;
+  const brightness = 0.5 - 0.3 * jawari; // weight of the older sample in the loop filter
+  const loss = Math.pow(10, -3 / (seconds * 0.8 * frequency)); // -60 dB by 80% of the pluck
+
+  const out = new Float32Array(Math.round(seconds * sampleRate));
+  const whole = Math.floor(delay);
+  const frac = delay - whole;
+  let write = 0;
+  let previous = 0;
+  for (let n = 0; n < out.length; n++) {
+    const a = ring[(write - whole + size) % size];
+    const b = ring[(write - whole - 1 + size * 2) % size];
+    const delayed = a + (b - a) * frac;
+    let y = loss * ((1 - brightness) * delayed + brightness * previous);
+    previous = delayed;
+    // the string flattens against the curved bridge instead of swinging past it
+    if (y < bridge) y = bridge + (y - bridge) * 0.3;
+    ring[write] = y;
+    write = (write + 1) % size;
+    out[n] = y;
+  }
+  const attack = Math.round(0.004 * sampleRate);
+  const max = out.reduce((m, v) => Math.max(m, Math.abs(v)), 0) || 1;
+  for (let n = 0; n < out.length; n++) out[n] = (out[n] / max) * (n < attack ? n / attack : 1);
+  return out;
+}
+
+// A seamless loop of two cycles (the second slightly varied) for the tonic (0-11, C = 0) with cents
+// of fine tuning. Plucks that ring past the end wrap into the start, so the loop has no seam.
+export function renderTanpuraLoop({ tonic = 0, cents = 0, pattern = 'pa', jawari = 0.5, cycleSeconds = 4, sampleRate = 44100, octave = 3 } = {}) {
+  const strings = (tanpuraPatterns.find(p => p.id === pattern) || tanpuraPatterns[0]).strings;
+  const sa = C3_HZ * Math.pow(2, (octave - 3) + (tonic + cents / 100) / 12);
+  const length = Math.round(2 * cycleSeconds * sampleRate);
+  const mix = new Float32Array(length);
+  const random = seededRandom(`${pattern}-${tonic}`);
+  const plucks = new Map(); // one rendering per distinct string
+  for (let cycle = 0; cycle < 2; cycle++) {
+    strings.forEach((semitones, i) => {
+      if (!plucks.has(semitones)) {
+        plucks.set(semitones, synthesizePluck(sa * Math.pow(2, semitones / 12), sampleRate, { seconds: Math.max(3, cycleSeconds * 1.6), jawari, seed: semitones + 24 }));
+      }
+      const samples = plucks.get(semitones);
+      const jitter = cycle ? (random() - 0.5) * 0.02 : 0;
+      const start = Math.round((cycle + PLUCK_AT[i]) * cycleSeconds * sampleRate + jitter * sampleRate);
+      const gain = STRING_GAIN[i] * (cycle ? 0.92 + random() * 0.16 : 1);
+      for (let n = 0; n < samples.length; n++) mix[(start + n + length) % length] += samples[n] * gain;
+    });
+  }
+  const max = mix.reduce((m, v) => Math.max(m, Math.abs(v)), 0) || 1;
+  for (let n = 0; n < length; n++) mix[n] = (mix[n] / max) * 0.8;
+  return mix;
+}
+
+const MAX_CACHED = 8;
+
+// Looping drone on an AudioContext, separate from the sample playback so it keeps sounding while
+// chords and scales play. play() (re)starts with a crossfade whenever the tonic or a control changes.
+export function createTanpuraPlayer(audioContext) {
+  const cache = new Map();
+  const output = audioContext.createGain();
+  output.connect(audioContext.destination);
+  let current = null;
+
+  const bufferFor = (options) => {
+    const key = JSON.stringify(options);
+    if (!cache.has(key)) {
+      const samples = renderTanpuraLoop({ ...options, sampleRate: audioContext.sampleRate });
+      const buffer = audioContext.createBuffer(1, samples.length, audioContext.sampleRate);
+      buffer.copyToChannel(samples, 0);
+      if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value);
+      cache.set(key, buffer);
+    }
+    return cache.get(key);
+  };
+
+  const fadeOut = (voice, now) => {
+    voice.gain.gain.setTargetAtTime(0, now, 0.15);
+    voice.source.stop(now + 1);
+  };
+
+  return {
+    // options: tonic, cents, pattern, jawari, cycleSeconds
+    play(options) {
+      const now = audioContext.currentTime;
+      const source = audioContext.createBufferSource();
+      const gain = audioContext.createGain();
+      source.buffer = bufferFor(options);
+      source.loop = true;
+      gain.gain.setValueAtTime(0, now);
+      gain.gain.linearRampToValueAtTime(1, now + 0.4);
+      source.connect(gain);
+      gain.connect(output);
+      source.start(now);
+      if (current) fadeOut(current, now);
+      current = { source, gain };
+    },
+    setVolume(volume) {
+      output.gain.setTargetAtTime(Math.max(0, Math.min(1, volume)), audioContext.currentTime, 0.05);
+    },
+    stop() {
+      if (current) fadeOut(current, audioContext.currentTime);
+      current = null;
+    },
+    get playing() {
+      return current !== null;
+    }
+  };
+}
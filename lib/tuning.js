@@ -0,0 +1,108 @@
+// Tuning systems for playback and export. Every system gives each of the 12 swaras (relative to Sa) a
+// ratio and its cents, so playback can detune the 12-TET piano samples and the MIDI export can carry
+// the same intonation as an MTS scale/octave tuning message.
+
+import { swarNames } from './raga-theory.js';
+
+const cents = (ratio) => 1200 * Math.log2(ratio);
+
+// The 22 shrutis as ratios over Sa, with the pitch class each one sounds as. Every swara but Sa and Pa
+// has a lower and a higher shruti (the komal Re at 256/243 sits below the one at 16/15).
+export const shrutis = [
+  { id: 'S', pitchClass: 0, ratio: [1, 1] },
+  { id: 'r1', pitchClass: 1, ratio: [256, 243] },
+  { id: 'r2', pitchClass: 1, ratio: [16, 15] },
+  { id: 'R1', pitchClass: 2, ratio: [10, 9] },
+  { id: 'R2', pitchClass: 2, ratio: [9, 8] },
+  { id: 'g1', pitchClass: 3, ratio: [32, 27] },
+  { id: 'g2', pitchClass: 3, ratio: [6, 5] },
+  { id: 'G1', pitchClass: 4, ratio: [5, 4] },
+  { id: 'G2', pitchClass: 4, ratio: [81, 64] },
+  { id: 'm1', pitchClass: 5, ratio: [4, 3] },
+  { id: 'm2', pitchClass: 5, ratio: [27, 20] },
+  { id: 'M1', pitchClass: 6, ratio: [45, 32] },
+  { id: 'M2', pitchClass: 6, ratio: [729, 512] },
+  { id: 'P', pitchClass: 7, ratio: [3, 2] },
+  { id: 'd1', pitchClass: 8, ratio: [128, 81] },
+  { id: 'd2', pitchClass: 8, ratio: [8, 5] },
+  { id: 'D1', pitchClass: 9, ratio: [5, 3] },
+  { id: 'D2', pitchClass: 9, ratio: [27, 16] },
+  { id: 'n1', pitchClass: 10, ratio: [16, 9] },
+  { id: 'n2', pitchClass: 10, ratio: [9, 5] },
+  { id: 'N1', pitchClass: 11, ratio: [15, 8] },
+  { id: 'N2', pitchClass: 11, ratio: [243, 128] }
+].map(s => ({ ...s, cents: Math.round(cents(s.ratio[0] / s.ratio[1]) * 10) / 10 }));
+
+// Shruti per pitch class (index 0-11) by shruti id
+const JUST = ['S', 'r2', 'R2', 'g2', 'G1', 'm1', 'M1', 'P', 'd2', 'D1', 'n2', 'N1'];
+// the 22-shruti default: low komal swaras and the Pythagorean Dha, as in the shuddha grama readings
+const SHRUTI_DEFAULT = ['S', 'r1', 'R2', 'g1', 'G1', 'm1', 'M1', 'P', 'd1', 'D2', 'n1', 'N1'];
+
+// Commonly cited raga intonations over the 22-shruti default. Todi's komal Re is lower than
+// Bhairav's, Darbari's Ga and Dha are ati-komal, Yaman and Marwa take the higher tivra Ma.
+export const ragaShrutiTables = {
+  todi: { 1: 'r1', 3: 'g1', 6: 'M2', 8: 'd1' },
+  bhairav: { 1: 'r2', 8: 'd2' },
+  'ahir bhairav': { 1: 'r2', 9: 'D1', 10: 'n2' },
+  bhairavi: { 3: 'g2', 8: 'd2', 10: 'n2' },
+  darbari: { 3: 'g1', 8: 'd1', 10: 'n1' },
+  yaman: { 6: 'M2', 9: 'D1' },
+  marwa: { 1: 'r2', 6: 'M2', 9: 'D1' },
+  puriya: { 1: 'r2', 6: 'M2', 9: 'D1' },
+  'puriya dhanashree': { 1: 'r2', 6: 'M2', 8: 'd2' },
+  kafi: { 3: 'g2', 10: 'n2' },
+  malkauns: { 3: 'g2', 8: 'd2', 10: 'n2' }
+};
+
+export const tuningSystems = [
+  { id: '12tet', name: '12-TET' },
+  { id: 'just', name: '5-limit just' },
+  { id: 'shruti', name: '22 shruti' },
+  { id: 'raga', name: 'Raga shruti table' }
+];
+
+const shrutiById = Object.fromEntries(shrutis.map(s => [s.id, s]));
+
+// The 12 swaras of a tuning: { swara, pitchClass, shruti?, ratio?, cents, deviation (cents from
+// 12-TET) }. 'raga' falls back to the 22-shruti default for ragas and swaras without a table entry.
+export function tuningTable(system = '12tet', ragaName = null) {
+  if (system === '12tet' || !tuningSystems.some(t => t.id === system)) {
+    return swarNames.map((swara, pc) => ({ swara, pitchClass: pc, cents: pc * 100, deviation: 0 }));
+  }
+  const ids = system === 'just' ? JUST : SHRUTI_DEFAULT;
+  const overrides = system === 'raga' ? ragaShrutiTables[String(ragaName || '').trim().toLowerCase()] || {} : {};
+  return swarNames.map((swara, pc) => {
+    const s = shrutiById[overrides[pc] || ids[pc]];
+    return {
+      swara,
+      pitchClass: pc,
+      shruti: s.id,
+      ratio: `${s.ratio[0]}/${s.ratio[1]}`,
+      cents: s.cents,
+      deviation: Math.round((s.cents - pc * 100) * 10) / 10
+    };
+  });
+}
+
+// Cents away from 12-TET per Sa-relative pitch class, for detuning samples
+export function centsOffsets(system = '12tet', ragaName = null) {
+  return tuningTable(system, ragaName).map(t => t.deviation);
+}
+
+// MIDI Tuning Standard scale/octave tuning (1-byte form, non-real-time): the sysex body after F0 up to
+// and including F7. MTS addresses absolute pitch classes (C = 0), so the Sa-relative offsets are
+// rotated by the tonic; each byte is 0x40 + cents, clamped to -64..+63. channels (0-15) defaults to
+// every channel but General MIDI percussion (9), which must stay untuned.
+export function mtsScaleOctaveSysex(offsets, tonic = 0, channels = null) {
+  const absolute = new Array(12).fill(0).map((_, pc) => offsets[(pc - tonic + 12) % 12] || 0);
+  const data = absolute.map(c => Math.max(0, Math.min(127, 0x40 + Math.round(c))));
+  const selected = channels || [...Array(16).keys()].filter(c => c !== 9);
+  // ff: channels 15-16, gg: channels 8-14, hh: channels 1-7 (one bit each, lowest channel first)
+  const mask = [0, 0, 0];
+  selected.forEach(c => {
+    if (c >= 14) mask[0] |= 1 << (c - 14);
+    else if (c >= 7) mask[1] |= 1 << (c - 7);
+    else mask[2] |= 1 << c;
+  });
+  return [0x7e, 0x7f, 0x08, 0x08, ...mask, ...data, 0xf7];
+}
@@ -0,0 +1,298 @@
+// Data checks for the raga CSVs. The parsers in lib/raga-theory.js stay lenient (a short row is
+// skipped, a stray letter ignored, Gg sets two swaras) so the app keeps working on imperfect data;
+// this module reports what they pass over, with line numbers. `pakad validate`, /api/admin/validate
+// and a strict server start (VALIDATE_DATA=strict) all run it.
+//
+// An issue: { file, line, raga, field, severity: 'error' | 'warning', code, message }. Errors are
+// data the parser drops or misreads; warnings are data it reads but that is probably a mistake.
+
+import {
+  swarNames,
+  hindustaniNoteMap,
+  thaats,
+  praharNames,
+  carnaticSwaraNames,
+  carnaticSwaraPitchClasses,
+  parseSwaraNote,
+  parseNotation,
+  parseChalanNotation,
+  parseMelakartaCSV,
+  parseCarnaticSequence
+} from './raga-theory.js';
+import { vakraSteps } from './compare.js';
+import { foldName } from './query.js';
+
+export const DATA_FILES = { hindustani: 'aarohavroha.csv', melakarta: 'melakarta_72.csv', janya: 'janya_ragas.csv' };
+
+const FLAGS = ['true', 'yes', '1', 'vakra'];
+const SARGAM_TOKEN = /^(\.*)([SrRgGmMPdDnN])('*)$/;
+
+// The header and every non-blank row with its line number in the file (1-based, as editors count)
+function readRows(text) {
+  const lines = String(text).split(/\r?\n/);
+  const header = (lines[0] || '').split(',').map(h => h.trim().toLowerCase());
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (lines[i].trim()) rows.push({ line: i + 1, cells: lines[i].split(',').map(c => c.trim()) });
+  }
+  return { header, rows };
+}
+
+// Collects issues for one file
+function reporter(file) {
+  const issues = [];
+  const add = (severity) => (line, raga, field, code, message) => issues.push({ file, line, raga: raga || null, field, severity, code, message });
+  return { issues, error: add('error'), warning: add('warning') };
+}
+
+const pcName = (pc) => swarNames[pc];
+const list = (pcs) => [...pcs].sort((a, b) => a - b).map(pcName).join(', ');
+
+// The struck swaras of single-swara matras as { pc, octave }: compound matras (Gg) are reported on
+// their own and would read as a turn
+const steps = (parsed) => parsed.matras.filter(m => !m.hold && m.swaras.length === 1).map(m => ({ pc: m.swaras[0].pc, octave: m.swaras[0].octave }));
+
+// Turns against the direction of a part: every fall in an aaroh, every rise in an avroh
+function checkDirection(r, line, raga, field, parsed, part, vakra) {
+  const turns = vakraSteps(steps(parsed), part);
+  if (turns.length && !vakra) {
+    const verb = part === 'aaroh' ? 'ascend' : 'descend';
+    r.warning(line, raga, field, 'not-monotonic', `Does not ${verb}: ${turns.map(t => `${t.from} to ${t.to}`).join(', ')} (set the Vakra column if the turn is meant)`);
+  }
+  return turns.length > 0;
+}
+
+// Exact and near duplicate names (the same once spelling variants are folded, e.g. Bhupali and
+// Bhoopali) inside one file
+function checkNames(r, named) {
+  const exact = new Map(), folded = new Map();
+  named.forEach(({ line, name }) => {
+    const key = name.toLowerCase();
+    const near = foldName(name).replace(/ /g, '');
+    if (exact.has(key)) {
+      r.error(line, name, 'name', 'duplicate-name', `Duplicate of line ${exact.get(key).line}; lookups by name only find the first`);
+    } else if (folded.has(near)) {
+      const other = folded.get(near);
+      r.warning(line, name, 'name', 'near-duplicate-name', `Near-duplicate of ${other.name} (line ${other.line})`);
+    }
+    if (!exact.has(key)) exact.set(key, { line });
+    if (!folded.has(near)) folded.set(near, { line, name });
+  });
+}
+
+// ---- aarohavroha.csv ----
+
+// One hyphenated Aroha/Avroh cell, token by token (S-R-G-m-P)
+function checkSargam(r, line, raga, field, value) {
+  value.split('-').forEach((raw, k) => {
+    const token = raw.trim();
+    if (!token) return r.warning(line, raga, field, 'empty-step', `Empty step ${k + 1} (two hyphens in a row)`);
+    if (SARGAM_TOKEN.test(token)) return;
+    const letters = [...token].filter(ch => Object.prototype.hasOwnProperty.call(hindustaniNoteMap, ch));
+    const unknown = [...token].filter(ch => !Object.prototype.hasOwnProperty.call(hindustaniNoteMap, ch) && ch !== '.' && ch !== "'");
+    if (unknown.length) {
+      r.error(line, raga, field, 'unknown-swara', `"${token}" has ${unknown.map(ch => `'${ch}'`).join(', ')}, which ${unknown.length === 1 ? 'is not a swara' : 'are not swaras'} and ${unknown.length === 1 ? 'is' : 'are'} ignored`);
+    } else if (letters.length > 1) {
+      r.warning(line, raga, field, 'compound-token', `"${token}" sets ${letters.length} swaras (${letters.map(ch => pcName(hindustaniNoteMap[ch])).join(', ')}) in one step; write them as separate steps`);
+    }
+  });
+}
+
+// A chalan (Bhatkhande notation): syntax errors, and swaras the part's own Aroha/Avroh lacks
+function checkChalan(r, line, raga, field, value, part, pattern) {
+  const parsed = parseChalanNotation(value, part);
+  parseNotation(value).errors.forEach(e => {
+    r.error(line, raga, field, 'chalan-syntax', `${e.message} at character ${Math.min(e.index, value.length - 1) + 1}`);
+  });
+  const extra = new Set();
+  parsed.matras.forEach(m => m.swaras.forEach(s => {
+    if (!pattern[s.pc]) extra.add(s.pc);
+    s.kan.forEach(k => { if (!pattern[k.pc]) extra.add(k.pc); });
+  }));
+  if (extra.size) {
+    r.warning(line, raga, field, 'chalan-extra-swara', `Uses ${list(extra)}, which the ${part === 'aaroh' ? 'Aroha' : 'Avroh'} lacks`);
+  }
+  return parsed;
+}
+
+const patternOf = (value) => {
+  const pattern = new Array(12).fill(0);
+  [...value].forEach(ch => { if (Object.prototype.hasOwnProperty.call(hindustaniNoteMap, ch)) pattern[hindustaniNoteMap[ch]] = 1; });
+  return pattern;
+};
+
+// Columns as parseAarohAvrohCSV reads them, plus an optional Vakra column (true/yes) for rows whose
+// turns are meant
+export function validateHindustaniCSV(text, file = DATA_FILES.hindustani) {
+  const r = reporter(file);
+  const { header, rows } = readRows(text);
+  const col = (name) => header.indexOf(name);
+  ['ragatable', 'aroha', 'avroh'].forEach(name => {
+    if (col(name) === -1) r.error(1, null, name, 'missing-column', `No ${name} column; the parser falls back to the column's usual position`);
+  });
+  const at = (name, fallback) => (col(name) === -1 ? fallback : col(name));
+  const idx = {
+    name: at('ragatable', 0), aroha: at('aroha', 1), avroh: at('avroh', 2),
+    arohaChalan: at('arohachalan', 3), avrohChalan: at('avrohchalan', 4),
+    thaat: col('thaat'), vadi: col('vadi'), samvadi: col('samvadi'), prahar: col('prahar'), vakra: col('vakra')
+  };
+
+  const named = [];
+  rows.forEach(({ line, cells }) => {
+    const cell = (key) => (idx[key] === -1 ? '' : cells[idx[key]] || '');
+    const name = cell('name');
+    if (cells.length > header.length) {
+      r.warning(line, name, null, 'extra-cells', `${cells.length} cells for ${header.length} columns; a comma inside a value shifts the rest`);
+    }
+    const missing = [['name', 'RAGATABLE'], ['aroha', 'Aroha'], ['avroh', 'Avroh']].filter(([key]) => !cell(key)).map(([, label]) => label);
+    if (missing.length) return r.error(line, name, null, 'missing-cell', `No ${missing.join(' or ')}; the row is skipped`);
+    named.push({ line, name });
+
+    const vakra = FLAGS.includes(cell('vakra').toLowerCase());
+    let turns = false;
+    [['aroha', 'aaroh'], ['avroh', 'avroh']].forEach(([key, part]) => {
+      checkSargam(r, line, name, key, cell(key));
+      turns = checkDirection(r, line, name, key, parseChalanNotation(cell(key), part), part, vakra) || turns;
+    });
+    const aarohPattern = patternOf(cell('aroha'));
+    const avrohPattern = patternOf(cell('avroh'));
+    [['arohaChalan', 'aaroh', aarohPattern], ['avrohChalan', 'avroh', avrohPattern]].forEach(([key, part, pattern]) => {
+      if (!cell(key)) return;
+      const parsed = checkChalan(r, line, name, key, cell(key), part, pattern);
+      turns = checkDirection(r, line, name, key, parsed, part, vakra) || turns;
+    });
+    if (vakra && !turns) r.warning(line, name, 'vakra', 'vakra-unused', 'Marked vakra, but every part runs straight');
+
+    const notePattern = aarohPattern.map((v, pc) => v || avrohPattern[pc]);
+    if (cell('thaat') && !thaats.some(t => t.toLowerCase() === cell('thaat').toLowerCase())) {
+      r.warning(line, name, 'thaat', 'unknown-thaat', `Unknown thaat "${cell('thaat')}" (${thaats.join(', ')})`);
+    }
+    ['vadi', 'samvadi'].forEach(key => {
+      if (!cell(key)) return;
+      const pc = parseSwaraNote(cell(key));
+      if (pc === null) r.error(line, name, key, 'unknown-swara', `"${cell(key)}" is not a swara`);
+      else if (!notePattern[pc]) r.warning(line, name, key, 'swara-not-in-raga', `${pcName(pc)} is not in the Aroha or Avroh`);
+    });
+    cell('prahar').split('/').map(p => p.trim().toLowerCase()).filter(Boolean).forEach(p => {
+      if (!praharNames.includes(p)) r.warning(line, name, 'prahar', 'unknown-prahar', `Unknown prahar "${p}" (${praharNames.join(', ')})`);
+    });
+  });
+  checkNames(r, named);
+  return { file, rows: rows.length, issues: r.issues, names: named };
+}
+
+// ---- melakarta_72.csv ----
+
+// number,name,swaras: the numbers 1-72 once each, and one of each swara (S R G M P D N) per scale
+export function validateMelakartaCSV(text, file = DATA_FILES.melakarta) {
+  const r = reporter(file);
+  const { rows } = readRows(text);
+  const numbers = new Map();
+  const named = [];
+  rows.forEach(({ line, cells }) => {
+    const [rawNumber, name] = cells;
+    const swaras = cells.slice(2).join(',').trim();
+    if (!name || !swaras) return r.error(line, name, null, 'missing-cell', 'Needs number, name and swaras; the row is skipped');
+    named.push({ line, name });
+    const number = Number(rawNumber);
+    if (!Number.isInteger(number) || number < 1 || number > 72) {
+      r.error(line, name, 'number', 'bad-number', `"${rawNumber}" is not a melakarta number (1-72)`);
+    } else if (numbers.has(number)) {
+      r.error(line, name, 'number', 'duplicate-number', `Number ${number} is also on line ${numbers.get(number)}`);
+    } else {
+      numbers.set(number, line);
+    }
+    const letters = [];
+    swaras.split(/\s+/).forEach(token => {
+      const norm = token.replace(/₁/g, '1').replace(/₂/g, '2').replace(/₃/g, '3');
+      if (!carnaticSwaraNames.includes(norm)) r.error(line, name, 'swaras', 'unknown-swara', `"${token}" is not a Carnatic swara and is ignored`);
+      else letters.push(norm[0]);
+    });
+    const counts = Object.fromEntries('SRGMPDN'.split('').map(l => [l, letters.filter(x => x === l).length]));
+    const wrong = 'RGMPDN'.split('').filter(l => counts[l] !== 1);
+    if (wrong.length) r.warning(line, name, 'swaras', 'not-sampoorna', `Needs one each of R G M P D N; ${wrong.map(l => `${l} ×${counts[l]}`).join(', ')}`);
+  });
+  for (let n = 1; n <= 72; n++) {
+    if (numbers.size && !numbers.has(n)) r.warning(null, null, 'number', 'missing-number', `No melakarta ${n}`);
+  }
+  checkNames(r, named);
+  return { file, rows: rows.length, issues: r.issues, names: named };
+}
+
+// ---- janya_ragas.csv ----
+
+// name,melakarta,arohanam,avarohanam[,vakra]: a known parent, swaras from the parent's scale, and
+// the same ascend/descend check as the Hindustani rows
+export function validateJanyaCSV(text, melakartas = [], file = DATA_FILES.janya) {
+  const r = reporter(file);
+  const { header, rows } = readRows(text);
+  const col = (name) => header.indexOf(name);
+  ['name', 'melakarta', 'arohanam', 'avarohanam'].forEach(name => {
+    if (col(name) === -1) r.error(1, null, name, 'missing-column', `No ${name} column; no row can be read`);
+  });
+  const named = [];
+  rows.forEach(({ line, cells }) => {
+    const cell = (name) => (col(name) === -1 ? '' : cells[col(name)] || '');
+    const name = cell('name');
+    const missing = ['name', 'arohanam', 'avarohanam'].filter(key => !cell(key));
+    if (missing.length) return r.error(line, name, null, 'missing-cell', `No ${missing.join(' or ')}; the row is skipped`);
+    named.push({ line, name });
+
+    const number = Number(cell('melakarta'));
+    const parent = melakartas.find(m => m.number === number);
+    if (!parent) r.error(line, name, 'melakarta', 'unknown-parent', `"${cell('melakarta')}" is not a melakarta number in ${DATA_FILES.melakarta}`);
+
+    const vakra = FLAGS.includes(cell('vakra').toLowerCase());
+    let turns = false;
+    [['arohanam', 'aaroh'], ['avarohanam', 'avroh']].forEach(([key, part]) => {
+      const parsed = parseCarnaticSequence(cell(key), part);
+      parsed.unknown.forEach(token => r.error(line, name, key, 'unknown-swara', `"${token}" is not a Carnatic swara and is ignored`));
+      turns = checkDirection(r, line, name, key, parsed.notation, part, vakra) || turns;
+      if (!parent) return;
+      const outside = parsed.carnaticSwaras
+        .map((v, k) => (v && !parent.carnaticSwaras[k] ? carnaticSwaraNames[k] : null))
+        .filter(Boolean)
+        // enharmonic spellings of a parent swara (G1 for R2) are the same note
+        .filter(s => !parent.notePattern[carnaticSwaraPitchClasses[carnaticSwaraNames.indexOf(s)]]);
+      if (outside.length) r.warning(line, name, key, 'outside-parent', `${outside.join(', ')} not in ${parent.number}. ${parent.name}`);
+    });
+    if (vakra && !turns) r.warning(line, name, 'vakra', 'vakra-unused', 'Marked vakra, but both parts run straight');
+  });
+  checkNames(r, named);
+  return { file, rows: rows.length, issues: r.issues, names: named };
+}
+
+// ---- all three ----
+
+// texts: { hindustani, melakarta, janya } CSV text, or null for a file that could not be read.
+// Returns { ok, errors, warnings, files: [{ file, rows, errors, warnings }], issues }; ok means no errors.
+export function validateRagaData(texts, files = DATA_FILES) {
+  const missing = (key) => ({ file: files[key], rows: 0, names: [], issues: [{ file: files[key], line: null, raga: null, field: null, severity: 'error', code: 'unreadable', message: 'File missing or unreadable' }] });
+  const hindustani = texts.hindustani === null || texts.hindustani === undefined ? missing('hindustani') : validateHindustaniCSV(texts.hindustani, files.hindustani);
+  const melakarta = texts.melakarta === null || texts.melakarta === undefined ? missing('melakarta') : validateMelakartaCSV(texts.melakarta, files.melakarta);
+  const janya = texts.janya === null || texts.janya === undefined
+    ? missing('janya')
+    : validateJanyaCSV(texts.janya, texts.melakarta ? parseMelakartaCSV(texts.melakarta) : [], files.janya);
+
+  // a janya named like a Hindustani raga is never found by name: findRaga reads the Hindustani CSV first
+  const hindustaniNames = new Map();
+  hindustani.names.forEach(({ line, name }) => {
+    if (!hindustaniNames.has(name.toLowerCase())) hindustaniNames.set(name.toLowerCase(), line);
+  });
+  janya.names.forEach(({ line, name }) => {
+    if (hindustaniNames.has(name.toLowerCase())) {
+      janya.issues.push({ file: janya.file, line, raga: name, field: 'name', severity: 'warning', code: 'shadowed-name', message: `Also in ${hindustani.file} (line ${hindustaniNames.get(name.toLowerCase())}), which name lookups find first` });
+    }
+  });
+
+  const results = [hindustani, melakarta, janya];
+  const issues = results.flatMap(res => res.issues);
+  const count = (list, severity) => list.filter(i => i.severity === severity).length;
+  return {
+    ok: count(issues, 'error') === 0,
+    errors: count(issues, 'error'),
+    warnings: count(issues, 'warning'),
+    files: results.map(res => ({ file: res.file, rows: res.rows, errors: count(res.issues, 'error'), warnings: count(res.issues, 'warning') })),
+    issues
+  };
+}
@@ -0,0 +1,144 @@
+// Recordings synthesized from the Piano/ samples (MP3, decoded with mpg123-decoder), written out as
+// 16-bit WAV and analysed the way /api/identify/audio does it.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MPEGDecoder } from 'mpg123-decoder';
+import { decodeWav, analyzeRecording, compareHistogram, droneChroma } from '../lib/audio-analysis.js';
+import { createRagaStore } from '../lib/data.js';
+import { parseSwaraSequence } from '../lib/raga-theory.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RATE = 44100;
+const NOTE_SECONDS = 0.5;
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const samples = new Map();
+let ragas;
+
+// Piano/C.mp3 is middle C (MIDI 60); _m12 and _p12 are the octaves below and above
+const sampleFile = (midi) => {
+  const octave = Math.floor(midi / 12) - 5;
+  return path.join(ROOT, 'Piano', `${NOTE_NAMES[midi % 12]}${octave === 0 ? '' : octave < 0 ? '_m12' : '_p12'}.mp3`);
+};
+
+before(async () => {
+  ragas = createRagaStore(ROOT).getRagas();
+  for (let midi = 48; midi < 84; midi++) {
+    const decoder = new MPEGDecoder();
+    await decoder.ready;
+    const { channelData, sampleRate } = decoder.decode(new Uint8Array(fs.readFileSync(sampleFile(midi))));
+    decoder.free();
+    assert.equal(sampleRate, RATE);
+    samples.set(midi, channelData[0]);
+  }
+});
+
+// Offsets from Sa (0-11, 12 = upper Sa) played one after another, each NOTE_SECONDS long. drone adds
+// Sa and Pa an octave below, struck again with every note so it never fades.
+function synthesize(tonicMidi, offsets, { drone = false } = {}) {
+  const length = Math.floor(NOTE_SECONDS * RATE);
+  const out = new Float32Array(length * offsets.length);
+  offsets.forEach((offset, n) => {
+    const note = samples.get(tonicMidi + offset);
+    const droneSa = samples.get(tonicMidi - 12);
+    const dronePa = samples.get(tonicMidi - 5);
+    for (let i = 0; i < length; i++) {
+      out[n * length + i] = (note[i] || 0) + (drone ? 0.15 * ((droneSa[i] || 0) + (dronePa[i] || 0)) : 0);
+    }
+  });
+  return out;
+}
+
+function toWav(floats) {
+  const data = Buffer.alloc(floats.length * 2);
+  floats.forEach((v, i) => data.writeInt16LE(Math.round(Math.max(-1, Math.min(1, v * 0.5)) * 32767), i * 2));
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(RATE, 24);
+  header.writeUInt32LE(RATE * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function analyze(tonicMidi, offsets, options = {}) {
+  const { samples: decoded, sampleRate } = decodeWav(toWav(synthesize(tonicMidi, offsets, options)));
+  return analyzeRecording(decoded, sampleRate, ragas, { limit: ragas.length, ...options });
+}
+
+const YAMAN = [0, 2, 4, 6, 7, 9, 11, 12, 11, 9, 7, 6, 4, 2, 0];
+const BHUPALI = [0, 2, 4, 7, 9, 12, 9, 7, 4, 2, 0];
+// Bilawal dwelling on Ga: Ga sounds far more than Sa
+const GA_HEAVY = [4, 4, 2, 4, 5, 4, 2, 0, 4, 7, 4, 5, 4, 2, 4, 0, 4, 9, 11, 12, 4];
+
+const rank = (result, name) => result.candidates.findIndex(c => c.name === name);
+const byName = (name) => ragas.find(r => r.name === name);
+
+test('a Yaman scale on C finds tonic C and ranks Yaman above ragas needing swaras it never sounds', () => {
+  const result = analyze(60, YAMAN);
+  assert.equal(result.tonic.name, 'C');
+  assert.deepEqual(result.prominentSwaras, ['Sa', 'Re', 'Ga', 'Ma♯', 'Pa', 'Dha', 'Ni']);
+  const yaman = result.candidates[rank(result, 'Yaman')];
+  // only ragas on exactly Yaman's swaras may tie with it
+  result.candidates.slice(0, rank(result, 'Yaman')).forEach(c => {
+    assert.deepEqual(byName(c.name).notePattern, byName('Yaman').notePattern, c.name);
+  });
+  ['Gaud Sarang', 'Khem Kalyan', 'Maru Bihag', 'Nand', 'Shyam Kalyan'].forEach(name => {
+    const other = result.candidates[rank(result, name)];
+    assert.ok(other.similarity < yaman.similarity, `${name} ${other.similarity} >= ${yaman.similarity}`);
+    assert.ok(other.missingSwaras.includes('Ma'), name);
+    assert.ok(other.coverage < 1, name);
+  });
+});
+
+test('the same scale on D finds tonic D', () => {
+  const result = analyze(62, YAMAN);
+  assert.equal(result.tonic.name, 'D');
+  assert.deepEqual(byName(result.candidates[0].name).notePattern, byName('Yaman').notePattern);
+});
+
+test('a pentatonic phrase ranks the pentatonic ragas first', () => {
+  const result = analyze(60, BHUPALI);
+  assert.equal(result.tonic.name, 'C');
+  assert.ok(rank(result, 'Bhupali') < 4);
+  assert.ok(result.candidates.slice(0, 4).every(c => c.coverage === 1 && c.extraSwaras.length === 0));
+});
+
+test('a melody dwelling on Ga keeps Sa as the tonic when a Sa-Pa drone sounds under it', () => {
+  assert.equal(analyze(60, GA_HEAVY, { drone: true }).tonic.name, 'C');
+  assert.equal(analyze(62, GA_HEAVY, { drone: true }).tonic.name, 'D');
+});
+
+test('droneChroma finds Sa and Pa under a melody and nothing without a drone', () => {
+  const drone = droneChroma(synthesize(60, GA_HEAVY, { drone: true }), RATE);
+  const strongest = drone.map((v, pc) => [v, pc]).sort((a, b) => b[0] - a[0]).slice(0, 2).map(([, pc]) => pc);
+  assert.deepEqual(strongest.sort((a, b) => a - b), [0, 7]);
+  assert.ok(droneChroma(synthesize(60, GA_HEAVY), RATE).every(v => v < 0.1));
+});
+
+test('a known tonic skips the estimate', () => {
+  const result = analyze(60, GA_HEAVY, { tonic: 0 });
+  assert.equal(result.tonic.pitchClass, 0);
+  assert.equal(result.tonic.estimated, false);
+});
+
+test('vadi and samvadi do not change a raga\'s score', () => {
+  const notePattern = parseSwaraSequence('S R G M P D N').pattern;
+  const histogram = [0.2, 0, 0.1, 0, 0.3, 0, 0.1, 0.1, 0, 0.1, 0, 0.1];
+  const plain = compareHistogram(histogram, { notePattern, vadi: null, samvadi: null });
+  const withMetadata = compareHistogram(histogram, { notePattern, vadi: 4, samvadi: 11 });
+  assert.deepEqual(withMetadata, plain);
+  assert.equal(plain.coverage, 1);
+  assert.equal(compareHistogram(histogram, { notePattern: parseSwaraSequence('S R G m M P D N').pattern }).coverage, 7 / 8);
+});
@@ -0,0 +1,134 @@
+// The same requests against the Express app (index.js) and the Netlify function: every answer,
+// status and body, has to match.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createApp } from '../index.js';
+import { handler } from '../netlify/functions/api.js';
+import { createApi } from '../lib/routes.js';
+
+let server;
+let base;
+let userDir;
+
+before(async () => {
+  userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'raga-user-'));
+  const { app } = createApp({ userDir });
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(userDir, { recursive: true, force: true });
+});
+
+// request: { method, path (with query string), type, body (string or Buffer) }
+async function viaExpress({ method = 'GET', path, type, body }) {
+  const res = await fetch(`${base}${path}`, { method, headers: type ? { 'Content-Type': type } : {}, body });
+  return { status: res.status, body: await res.json() };
+}
+
+async function viaNetlify({ method = 'GET', path, type, body }) {
+  const binary = Buffer.isBuffer(body);
+  const res = await handler({
+    httpMethod: method,
+    path: path.split('?')[0],
+    rawUrl: `https://example.netlify.app${path}`,
+    headers: type ? { 'Content-Type': type } : {},
+    body: body === undefined ? null : binary ? body.toString('base64') : body,
+    isBase64Encoded: binary
+  });
+  return { status: res.statusCode, body: JSON.parse(res.body) };
+}
+
+const JSON_TYPE = 'application/json';
+
+const cases = [
+  { name: 'health', request: { path: '/api/health' }, status: 200 },
+  { name: 'chord types', request: { path: '/api/chord-types' }, status: 200 },
+  { name: 'raga list', request: { path: '/api/ragas' }, status: 200 },
+  { name: 'one raga', request: { path: '/api/ragas/Yaman' }, status: 200 },
+  { name: 'raga chords with Western names', request: { path: '/api/ragas/Yaman/chords?chordType=major&tonic=0' }, status: 200 },
+  { name: 'outside chords', request: { path: '/api/ragas/Yaman/chords?chordType=major&outside=true&maxOutside=1' }, status: 200 },
+  { name: 'raga search query', request: { path: '/api/raga-search?q=aaroh:%2BM%20vakra:false' }, status: 200 },
+  { name: 'unknown raga', request: { path: '/api/ragas/Nonesuch' }, status: 404 },
+  { name: 'malformed escape in a path parameter', request: { path: '/api/ragas/%E0%A4' }, status: 400 },
+  { name: 'unknown route', request: { path: '/api/nothing-here' }, status: 404 },
+  { name: 'wrong method', request: { method: 'DELETE', path: '/api/health' }, status: 405 },
+  { name: 'admin routes without ADMIN_TOKEN', request: { path: '/api/admin/validate' }, status: 404 },
+  {
+    name: 'custom scale chords',
+    request: { method: 'POST', path: '/api/custom-scale/chords?chordType=minor', type: JSON_TYPE, body: JSON.stringify({ notePattern: [1, 0, 1, 1, 0, 1, 0, 1, 1, 0, 1, 0] }) },
+    status: 200
+  },
+  {
+    name: 'JSON with a charset',
+    request: { method: 'POST', path: '/api/identify/phrase', type: 'application/json; charset=utf-8', body: JSON.stringify({ phrase: "N R G M D N S'" }) },
+    status: 200
+  },
+  { name: 'broken JSON', request: { method: 'POST', path: '/api/identify/phrase', type: JSON_TYPE, body: '{"phrase":' }, status: 400 },
+  { name: 'JSON null', request: { method: 'POST', path: '/api/identify/phrase', type: JSON_TYPE, body: 'null' }, status: 400 },
+  { name: 'JSON string', request: { method: 'POST', path: '/api/chord-lookup', type: JSON_TYPE, body: '"x"' }, status: 400 },
+  { name: 'JSON array', request: { method: 'POST', path: '/api/chord-lookup', type: JSON_TYPE, body: '[]' }, status: 400 },
+  {
+    name: 'JSON sent as text/plain is ignored',
+    request: { method: 'POST', path: '/api/identify/phrase', type: 'text/plain', body: JSON.stringify({ phrase: 'S R G' }) },
+    status: 400
+  },
+  { name: 'no body', request: { method: 'POST', path: '/api/chord-lookup' }, status: 400 },
+  {
+    name: 'binary body stays a Buffer',
+    request: { method: 'POST', path: '/api/identify/audio', type: 'application/octet-stream', body: Buffer.alloc(64) },
+    status: 400
+  }
+];
+
+cases.forEach(({ name, request, status }) => {
+  test(`${name}: Express and Netlify agree`, async () => {
+    const express = await viaExpress(request);
+    const netlify = await viaNetlify(request);
+    assert.equal(express.status, status, JSON.stringify(express.body));
+    assert.deepEqual(netlify, express);
+  });
+});
+
+test('the JSON body rules give the same reasons', async () => {
+  const nul = await viaNetlify(cases.find(c => c.name === 'JSON null').request);
+  assert.deepEqual(nul.body, { error: 'Invalid JSON', details: 'The body must be a JSON object' });
+  const plain = await viaNetlify(cases.find(c => c.name === 'JSON sent as text/plain is ignored').request);
+  assert.deepEqual(plain.body, { error: 'phrase required' });
+  const escape = await viaExpress({ path: '/api/ragas/%E0%A4/chords' });
+  assert.deepEqual(escape, { status: 400, body: { error: 'Malformed URL' } });
+});
+
+test('the admin routes answer only to the admin token', async () => {
+  const { router } = createApi({ dataDir: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..'), userDir, adminToken: 'secret' });
+  const validate = (headers, search = '') => router.handle({ method: 'GET', path: '/api/admin/validate', query: new URLSearchParams(search), headers });
+  assert.equal((await validate({})).statusCode, 401);
+  assert.equal((await validate({ 'x-admin-token': 'secre' })).statusCode, 401);
+  const report = await validate({ 'x-admin-token': 'secret' }, 'severity=error');
+  assert.equal(report.statusCode, 200);
+  assert.ok(report.body.issues.every(i => i.severity === 'error'));
+});
+
+test('the server serves the pages, CSVs, lib/ and samples but not the repo or saved user data', async () => {
+  const status = async (url) => (await fetch(`${base}${url}`)).status;
+  for (const url of ['/', '/raga-query.html', '/aarohavroha.csv', '/lib/raga-theory.js', '/Piano/C.mp3']) {
+    assert.equal(await status(url), 200, url);
+  }
+  const saved = await fetch(`${base}/api/user-ragas?user=tester`, {
+    method: 'POST',
+    headers: { 'Content-Type': JSON_TYPE },
+    body: JSON.stringify({ name: 'Test Raga', aaroh: 'S R G P D S\'', avroh: 'S\' D P G R S' })
+  });
+  assert.equal(saved.status, 201);
+  assert.ok(fs.existsSync(path.join(userDir, 'user-library.json')));
+  for (const url of ['/user-library.json', '/data/user-library.json', '/package.json', '/requests.jsonl', '/index.js', '/test/contract.test.js']) {
+    assert.equal(await status(url), 404, url);
+  }
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateProgression, seededRandom } from '../lib/generate.js';
+import { createRagaStore } from '../lib/data.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+// Alhaiya Bilawal leaves Ma out of the aaroh and adds Ni♭ to the avroh, so the parts differ
+const raga = createRagaStore(ROOT).getRagas().find(r => r.name === 'Alhaiya Bilawal');
+
+const summary = (progression) => progression.chords.map(c => `${c.part} ${c.chord.root} ${c.chord.type.id}`);
+const inPattern = (pattern) => (c) => c.chord.notes.every(n => pattern[n]);
+
+test('seededRandom gives the same numbers for a seed in every engine', () => {
+  const random = seededRandom(1);
+  assert.equal(random(), 0.6270739405881613);
+  assert.equal(random(), 0.002735721180215478);
+  // a word is hashed to a seed
+  assert.equal(seededRandom('yaman')(), 0.7751442349981517);
+});
+
+test('the same seed gives the same progression', () => {
+  [7, 'evening'].forEach(seed => {
+    const options = { length: 8, seed, part: 'arc', outside: true, extend: true };
+    const first = generateProgression(raga, options);
+    assert.equal(first.seed, seed);
+    assert.deepEqual(generateProgression(raga, options), first);
+  });
+  const bySeed = [1, 2, 3, 4].map(seed => summary(generateProgression(raga, { length: 8, seed })).join());
+  assert.ok(new Set(bySeed).size > 1);
+  // without a seed one is drawn and returned, and replaying it gives the same chords
+  const drawn = generateProgression(raga, { length: 6 });
+  assert.ok(Number.isInteger(drawn.seed));
+  assert.deepEqual(generateProgression(raga, { length: 6, seed: drawn.seed }), drawn);
+});
+
+test('only chord types from the palette are used', () => {
+  const progression = generateProgression(raga, { length: 12, seed: 3, palette: ['major', 'minor'] });
+  assert.equal(progression.chords.length, 12);
+  assert.ok(progression.chords.every(c => ['major', 'minor'].includes(c.chord.type.id)));
+  assert.deepEqual(generateProgression(raga, { palette: ['dim7'], seed: 1 }), { error: 'No chords match the chosen palette', seed: 1 });
+});
+
+test('each chord draws its notes from the part it is in', () => {
+  const aaroh = generateProgression(raga, { length: 12, seed: 5, part: 'aaroh' });
+  assert.ok(aaroh.chords.every(c => c.part === 'aaroh'));
+  assert.ok(aaroh.chords.every(inPattern(raga.aarohPattern)));
+  const avroh = generateProgression(raga, { length: 12, seed: 5, part: 'avroh' });
+  assert.ok(avroh.chords.every(inPattern(raga.avrohPattern)));
+  const arc = generateProgression(raga, { length: 5, seed: 5, part: 'arc' });
+  assert.deepEqual(arc.chords.map(c => c.part), ['aaroh', 'aaroh', 'aaroh', 'avroh', 'avroh']);
+  assert.ok(arc.chords.slice(0, 3).every(inPattern(raga.aarohPattern)));
+  assert.ok(arc.chords.slice(3).every(inPattern(raga.avrohPattern)));
+});
+
+test('outside notes appear only when asked for, and no more than maxOutside per chord', () => {
+  const inside = generateProgression(raga, { length: 16, seed: 9 });
+  assert.ok(inside.chords.every(inPattern(raga.notePattern)));
+  const outside = generateProgression(raga, { length: 16, seed: 9, outside: true, maxOutside: 1 });
+  assert.ok(outside.chords.some(c => c.chord.outsideCount === 1));
+  assert.ok(outside.chords.every(c => (c.chord.outsideCount || 0) <= 1));
+  assert.ok(outside.chords.every(c => c.chord.notes.filter(n => !raga.notePattern[n]).length === (c.chord.outsideCount || 0)));
+});
+
+test('a tonic adds Western names', () => {
+  const { chords } = generateProgression(raga, { length: 4, seed: 2, tonic: 2 });
+  assert.ok(chords.every(c => /^[A-G]/.test(c.chord.westernName)));
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { identifyPhrase, scorePhraseForRaga, phrasePositions } from '../lib/identify.js';
+import { parseNotation, parseAarohAvrohCSV } from '../lib/raga-theory.js';
+import { createRagaStore } from '../lib/data.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ragas = createRagaStore(ROOT).getRagas();
+
+// Ga is varjya in the aaroh and comes back up to Ma in the avroh
+const [turning] = parseAarohAvrohCSV("RAGATABLE,Aroha,Avroh\nTurning,S-R-m-P-D-S',S'-D-P-G-m-R-S");
+// a scale without chalans, as a melakarta or a user's scale comes
+const bilawal = { name: 'Bilawal', notePattern: [1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 0, 1] };
+bilawal.aarohPattern = bilawal.avrohPattern = bilawal.notePattern;
+
+const score = (raga, phrase) => scorePhraseForRaga(raga, phrasePositions(parseNotation(phrase)));
+const verdicts = (raga, phrase) => score(raga, phrase).steps.map(s => s.verdict);
+const rank = (phrase, name) => identifyPhrase(ragas, phrase, ragas.length).results.findIndex(r => r.name === name);
+
+test('each step is judged against the chalan of its direction', () => {
+  const { steps } = score(turning, 'S R G m m P N');
+  assert.deepEqual(steps.map(s => [s.from, s.to, s.direction, s.verdict]), [
+    ['Sa', 'Re', 'up', 'match'],
+    ['Re', 'Ga', 'up', 'forbidden'],
+    ['Ga', 'Ma', 'up', 'vakra'],
+    ['Ma', 'Ma', 'same', 'repeat'],
+    ['Ma', 'Pa', 'up', 'match'],
+    ['Pa', 'Ni', 'up', 'outside']
+  ]);
+  assert.equal(steps[1].explanation, 'Ga is varjya in the aaroh');
+  assert.equal(steps[2].explanation, 'Ga→Ma is a vakra turn in the avroh');
+  assert.equal(steps[5].explanation, 'Ni is not in Turning');
+});
+
+test('a skipped swara names what it skipped and costs less than a broken order', () => {
+  const skip = score(bilawal, 'S G').steps[0];
+  assert.equal(skip.verdict, 'skip');
+  assert.deepEqual(skip.skipped, [2]);
+  assert.equal(skip.explanation, 'Sa→Ga follows the aaroh, skipping Re');
+  // the step out of a swara the raga lacks cannot follow its order
+  assert.deepEqual(verdicts(bilawal, 'G M D'), ['outside', 'order']);
+  const result = score(bilawal, 'S G M D');
+  assert.ok(result.steps[0].score > result.steps[2].score);
+  assert.deepEqual([result.matched, result.broken, result.outsideNotes], [1, 2, ['Ma♯']]);
+});
+
+test('a Yaman phrase ranks Yaman above Bilawal, and a Bilawal phrase the other way round', () => {
+  const yamanPhrase = ".N R G M D N S'";
+  const yaman = ragas.find(r => r.name === 'Yaman');
+  assert.ok(score(yaman, yamanPhrase).score > score(bilawal, yamanPhrase).score);
+  assert.deepEqual(score(bilawal, yamanPhrase).outsideNotes, ['Ma♯']);
+  assert.ok(rank(yamanPhrase, 'Yaman') < 3);
+  assert.ok(rank(yamanPhrase, 'Yaman') < rank(yamanPhrase, 'Alhaiya Bilawal'));
+  const bilawalPhrase = 'P m G R S';
+  assert.equal(score(bilawal, bilawalPhrase).score, 1);
+  assert.ok(score(yaman, bilawalPhrase).score < 1);
+  assert.ok(rank(bilawalPhrase, 'Alhaiya Bilawal') < rank(bilawalPhrase, 'Yaman'));
+});
+
+test('the pakad breaks ties between ragas on the same swaras', () => {
+  const { results } = identifyPhrase(ragas, 'G R S .D S R G', 3);
+  assert.equal(results[0].name, 'Bhupali');
+  assert.equal(results[0].inPakad, true);
+  assert.equal(results[1].score, results[0].score);
+  assert.equal(results[1].inPakad, false);
+});
+
+test('unmarked jumps are read the short way round', () => {
+  assert.deepEqual(phrasePositions(parseNotation('N R G')), [11, 14, 16]);
+  assert.deepEqual(phrasePositions(parseNotation('.N S N')), [-1, 0, -1]);
+  assert.deepEqual(identifyPhrase([bilawal], 'N R G').swaras, ['Ni', 'Re', 'Ga']);
+  assert.deepEqual(verdicts(bilawal, 'N R G'), ['skip', 'match']);
+});
+
+test('a phrase that does not parse or has no swaras gives errors', () => {
+  assert.deepEqual(identifyPhrase(ragas, 'S R (G'), { errors: [{ index: 4, message: 'Unclosed kan (' }] });
+  assert.deepEqual(identifyPhrase(ragas, '-'), { errors: [{ index: 0, message: 'Phrase has no swaras' }] });
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseMidi, analyzeMidi, writeChordMidi, tonicFromText, findBlockChords } from '../lib/midi.js';
+import { createRagaStore } from '../lib/data.js';
+import { chordsForPatterns } from '../lib/routes.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const store = createRagaStore(ROOT);
+const catalog = { ragas: store.getRagas(), melakartas: store.getMelakartas() };
+const yaman = store.getRagas().find(r => r.name === 'Yaman');
+
+// The Yaman chord sheet as pakad export writes it, voiced on `tonic`
+function yamanSheet(tonic) {
+  const query = new URLSearchParams({ voicing: 'smooth', tonic: String(tonic) });
+  const chords = chordsForPatterns({ all: yaman.notePattern, aaroh: yaman.aarohPattern, avroh: yaman.avrohPattern }, query, store.getChordTypes());
+  return writeChordMidi(chords.map(c => c.midi), { name: 'Yaman', tonic });
+}
+
+const melody = (notes) => writeChordMidi(notes.map(m => [m]), { beats: 1 });
+
+test('a chord sheet export reads back with the tonic it was written on', () => {
+  [0, 2, 9].forEach(tonic => {
+    const parsed = parseMidi(yamanSheet(tonic));
+    assert.deepEqual(parsed.texts.map(t => [t.type, t.text]).slice(0, 1), [['name', 'Yaman']]);
+    const result = analyzeMidi(parsed, catalog);
+    assert.equal(result.tonic.pitchClass, tonic);
+    assert.equal(result.tonic.source, 'file');
+    assert.ok(result.ragas.slice(0, 2).some(r => r.name === 'Yaman'));
+  });
+});
+
+test('a forced tonic wins over the file', () => {
+  const result = analyzeMidi(parseMidi(yamanSheet(0)), { ...catalog, tonic: 7 });
+  assert.equal(result.tonic.pitchClass, 7);
+  assert.equal(result.tonic.source, 'given');
+});
+
+test('tonicFromText reads the app\'s marker and common DAW spellings', () => {
+  assert.equal(tonicFromText('Sa = C#'), 1);
+  assert.equal(tonicFromText('Tonic: D♭'), 1);
+  assert.equal(tonicFromText('Key: Bb minor'), 10);
+  assert.equal(tonicFromText('key of G'), null);
+  assert.equal(tonicFromText('Bass'), null);
+  assert.equal(tonicFromText('Salsa C'), null);
+});
+
+test('without metadata, equally good rotations go to the final bass note', () => {
+  // Yaman on C (C D E F# G A B) is also Khamaj-family on D; the phrase ends on Sa
+  const onC = analyzeMidi(parseMidi(melody([60, 62, 64, 66, 67, 69, 71, 72, 71, 69, 67, 66, 64, 62, 60])), catalog);
+  assert.equal(onC.tonic.source, 'estimated');
+  assert.equal(onC.tonic.pitchClass, 0);
+  const onD = analyzeMidi(parseMidi(melody([62, 64, 66, 68, 69, 71, 73, 74, 73, 71, 69, 68, 66, 64, 62])), catalog);
+  assert.equal(onD.tonic.pitchClass, 2);
+});
+
+test('without metadata, a chord sequence resolving to Sa takes Sa as its tonic', () => {
+  // Sa, Re, Pa and back to Sa in Yaman on C, bass note first
+  const bytes = writeChordMidi([[48, 64, 67], [50, 66, 69], [43, 62, 71], [48, 64, 67]]);
+  const parsed = parseMidi(bytes);
+  assert.equal(findBlockChords(parsed).length, 4);
+  const result = analyzeMidi(parsed, catalog);
+  assert.equal(result.tonic.pitchClass, 0);
+  assert.equal(result.chords[0].chord.rootName, 'Sa');
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseQuery, applyQuery, withSearchFacts, nameScore, foldName } from '../lib/query.js';
+import { createRagaStore } from '../lib/data.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ragas = createRagaStore(ROOT).getRagas().map(withSearchFacts);
+const search = (q) => applyQuery(ragas, parseQuery(q)).map(r => r.name);
+
+test('the example query reads into swara, jati, vakra and count terms and a name', () => {
+  const parsed = parseQuery('aaroh:+M -m avroh:+n jati:audav-sampoorna vakra:true notes:>=6 bhairo');
+  assert.deepEqual(parsed.errors, []);
+  assert.deepEqual(parsed.terms, [
+    { key: 'swara', part: 'aaroh', pc: 6, include: true },
+    { key: 'swara', part: 'aaroh', pc: 5, include: false },
+    { key: 'swara', part: 'avroh', pc: 10, include: true },
+    { key: 'jati', aaroh: 5, avroh: 7 },
+    { key: 'vakra', value: true },
+    { key: 'notes', min: 6, max: Infinity }
+  ]);
+  assert.deepEqual(parsed.names, ['bhairo']);
+  assert.equal(parsed.system, null);
+});
+
+test('every jati word and its spellings parse', () => {
+  const jati = (word) => parseQuery(`jati:${word}`);
+  [['audav', 5], ['audava', 5], ['odav', 5], ['shadav', 6], ['shadava', 6], ['sampoorna', 7], ['sampurna', 7], ['sampurn', 7]]
+    .forEach(([word, count]) => {
+      const parsed = jati(word);
+      assert.deepEqual(parsed.errors, [], word);
+      assert.deepEqual(parsed.terms, [{ key: 'jati', aaroh: count, avroh: count }], word);
+    });
+  assert.deepEqual(jati('shadav-sampoorna').terms, [{ key: 'jati', aaroh: 6, avroh: 7 }]);
+  assert.ok(search('jati:shadav').length > 0);
+  assert.equal(jati('audav-shadav-sampoorna').errors.length, 1);
+});
+
+test('unknown keys are reported at their position with the closest key', () => {
+  const { terms, errors } = parseQuery('thaat:kalyan araoh:+M zzz:1');
+  assert.deepEqual(terms, [{ key: 'thaat', value: 'kalyan' }]);
+  assert.deepEqual(errors, [
+    { position: 13, token: 'araoh:+M', message: 'Unknown key "araoh" (did you mean aaroh?)' },
+    { position: 22, token: 'zzz:1', message: 'Unknown key "zzz"' }
+  ]);
+  assert.deepEqual(parseQuery('arohanam:+M raga:yaman').terms, [{ key: 'swara', part: 'aaroh', pc: 6, include: true }]);
+});
+
+test('bad values are reported at the offset of their token', () => {
+  const text = 'notes:x jati:hexa +X -S vakra:maybe melakarta:73 system:both "open';
+  const { errors } = parseQuery(text);
+  assert.deepEqual(errors.map(e => [e.position, e.token]), [
+    [0, 'notes:x'],
+    [8, 'jati:hexa'],
+    [18, '+X'],
+    [21, '-S'],
+    [24, 'vakra:maybe'],
+    [36, 'melakarta:73'],
+    [49, 'system:both'],
+    [61, '"open']
+  ]);
+  errors.forEach(e => assert.equal(text.slice(e.position, e.position + e.token.length), e.token));
+  assert.match(errors[3].message, /Sa is in every raga/);
+  assert.equal(errors[7].message, 'Unclosed quote');
+});
+
+test('quoted values keep their spaces and system: is read apart from the terms', () => {
+  const parsed = parseQuery('name:"miyan ki" system:carnatic');
+  assert.deepEqual(parsed.names, ['miyan ki']);
+  assert.equal(parsed.system, 'carnatic');
+  assert.deepEqual(parsed.terms, []);
+  assert.deepEqual(parseQuery('thaat:"kalyan" "a:b"'), { terms: [{ key: 'thaat', value: 'kalyan' }], names: ['a:b'], system: null, errors: [] });
+});
+
+test('names match across spelling and transliteration variants', () => {
+  assert.equal(foldName('Bhoopali'), foldName('Bhupali'));
+  assert.equal(search('bhairo')[0], 'Bhairav');
+  assert.equal(search('kalyan')[0], 'Yaman');
+  assert.equal(search('malkaus')[0], 'Malkauns');
+  assert.ok(nameScore('Bhairo', 'Bhairav') > nameScore('Bhairo', 'Bhairavi'));
+  assert.ok(nameScore('Kalyan', 'Bhairav') < 0.6);
+});
+
+test('swara terms filter the part named before them', () => {
+  const found = applyQuery(ragas, parseQuery('aaroh:+M -m'));
+  assert.ok(found.length > 0);
+  assert.ok(found.every(r => r.aarohPattern[6] && !r.aarohPattern[5]));
+  assert.ok(search('swaras:+M -m jati:sampoorna').includes('Yaman'));
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  chordTypes,
+  parseSwaraSequence,
+  parseAarohAvrohCSV,
+  rotatePattern,
+  countSwaras,
+  getJati,
+  extendIntervals,
+  availableChordsForPattern,
+  availableChordsAllowingOutside,
+  slashChords,
+  chordLabel,
+  identifyChord,
+  attachWesternNames,
+  parseNotation,
+  serializeNotation,
+  parseChalanNotation
+} from '../lib/raga-theory.js';
+
+const pattern = (text) => parseSwaraSequence(text).pattern;
+const yaman = pattern('S R G M P D N');
+const bilawal = pattern('S R G m P D N');
+const type = (id) => chordTypes.find(t => t.id === id);
+const labels = (chords) => chords.map(chordLabel);
+
+test('parseSwaraSequence reads komal and tivra letters as pitch classes', () => {
+  assert.deepEqual(yaman, [1, 0, 1, 0, 1, 0, 1, 1, 0, 1, 0, 1]);
+  assert.deepEqual(pattern('S r g m P d n'), [1, 1, 0, 1, 0, 1, 0, 1, 1, 0, 1, 0]);
+});
+
+test('parseAarohAvrohCSV combines aaroh and avroh and skips short rows', () => {
+  const ragas = parseAarohAvrohCSV('RAGATABLE,Aroha,Avroh\nYaman,N R G M D N S\',S\' N D P M G R S\nBroken\n');
+  assert.equal(ragas.length, 1);
+  assert.equal(ragas[0].name, 'Yaman');
+  assert.deepEqual(ragas[0].notePattern, yaman);
+});
+
+test('countSwaras counts Re/Re♭ and the like once and getJati names the count', () => {
+  assert.equal(countSwaras(yaman), 7);
+  assert.equal(countSwaras(pattern('S r R G P D N')), 6);
+  assert.equal(getJati(5), 'Audav (Pentatonic)');
+  assert.equal(getJati(7), 'Sampoorna (Heptatonic)');
+  assert.equal(getJati(4), '4 notes');
+});
+
+test('rotatePattern moves pitch class i to i + steps, wrapping both ways', () => {
+  const sa = [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+  assert.equal(rotatePattern(sa, 7).indexOf(1), 7);
+  assert.equal(rotatePattern(sa, -1).indexOf(1), 11);
+  assert.equal(rotatePattern(sa, 13).indexOf(1), 1);
+  assert.deepEqual(rotatePattern(bilawal, -11), rotatePattern(bilawal, 1));
+  assert.deepEqual(rotatePattern(rotatePattern(yaman, 5), -5), yaman);
+});
+
+test('availableChordsForPattern keeps only chords whose every note is in the raga', () => {
+  assert.deepEqual(labels(availableChordsForPattern(yaman, 'major')), ['Sa Major', 'Re Major', 'Pa Major']);
+  assert.deepEqual(labels(availableChordsForPattern(bilawal, 'minor')), ['Re Minor', 'Ga Minor', 'Dha Minor']);
+  assert.deepEqual(labels(availableChordsForPattern(yaman, 'diminished')), ['Ma♯ Diminished']);
+  const all = availableChordsForPattern(yaman, 'all');
+  assert.ok(all.every(c => c.notes.every(n => yaman[n])));
+  assert.ok(all.some(c => c.type.id === 'maj7s11' && c.root === 0));
+});
+
+test('availableChordsForPattern builds notes from the type intervals', () => {
+  const [paDom7] = availableChordsForPattern(bilawal, 'dom7');
+  assert.equal(paDom7.root, 7);
+  assert.deepEqual(paDom7.notes, [7, 11, 2, 5]);
+  assert.equal(paDom7.rootName, 'Pa');
+  assert.equal(paDom7.isExtended, false);
+});
+
+test('extend stacks the raga third that forms a registry type', () => {
+  assert.deepEqual(labels(availableChordsForPattern(yaman, 'major', true)), ['Sa Major 7', 'Re Dominant 7', 'Pa Major 7']);
+  // Pa7 in Bilawal: Re (14) fits, Re♭ (13, a ♭9) does not
+  const grown = extendIntervals(type('dom7').intervals, pc => !!bilawal[(pc + 7) % 12]);
+  assert.deepEqual(grown.intervals, [0, 4, 7, 10, 14]);
+  assert.equal(grown.type.id, 'dom9');
+  assert.equal(extendIntervals([0, 4]), null);
+});
+
+test('availableChordsAllowingOutside counts the notes outside the raga', () => {
+  const chords = availableChordsAllowingOutside(yaman, 'major', false, 1, 1);
+  assert.ok(chords.length);
+  assert.ok(chords.every(c => c.outsideCount === 1 && yaman[c.root]));
+  assert.ok(chords.some(c => c.root === 4 && c.notes.includes(8)));
+});
+
+test('chordLabel names root, type, added tone and bass', () => {
+  const [sa] = availableChordsForPattern(yaman, 'major');
+  assert.equal(chordLabel(sa), 'Sa Major');
+  assert.equal(chordLabel({ ...sa, isExtended: true, addedInterval: 20 }), 'Sa Major add ♭13');
+  const overGa = slashChords([sa], yaman).find(c => c.bass === 4);
+  assert.equal(chordLabel(overGa), 'Sa Major / Ga');
+  assert.equal(chordLabel({ ...sa, extendedType: type('major7'), isExtended: true, addedInterval: 11 }), 'Sa Major 7');
+});
+
+test('identifyChord names inversions over their root and unknown bass notes as slash chords', () => {
+  assert.equal(chordLabel(identifyChord([4, 7, 0], 4)), 'Sa Major / Ga');
+  assert.equal(chordLabel(identifyChord([0, 4, 7, 11])), 'Sa Major 7');
+  assert.equal(identifyChord([0, 1, 2]), null);
+});
+
+test('attachWesternNames spells each chord tone from its root and interval', () => {
+  const western = (chords, tonic) => attachWesternNames(chords, tonic).map(c => c.westernName);
+  assert.deepEqual(western(availableChordsForPattern(yaman, 'major'), 0), ['C: C - E - G', 'D: D - F♯ - A', 'G: G - B - D']);
+  assert.deepEqual(western(availableChordsForPattern(yaman, 'major'), 2), ['D: D - F♯ - A', 'E: E - G♯ - B', 'A: A - C♯ - E']);
+  assert.deepEqual(western(availableChordsForPattern(yaman, 'm7b5'), 0), ['F♯m7♭5: F♯ - A - C - E']);
+  // Dha♭ is A♭ on C, so its third is C, not B♯
+  assert.deepEqual(western(availableChordsForPattern(pattern('S r G m P d N'), 'major'), 0)[1], 'D♭: D♭ - F - A♭');
+  const [sa] = availableChordsForPattern(yaman, 'major');
+  assert.deepEqual(western(slashChords([sa], yaman).filter(c => c.bass === 6 || c.bass === 7), 0), ['C/F♯: C - E - G - F♯', 'C/G: C - E - G']);
+  assert.equal(attachWesternNames([sa], null)[0].westernName, undefined);
+});
+
+test('Bhatkhande notation in canonical form serializes back to the same text', () => {
+  [
+    'S R G', 'S-R-G-m-P', "G-R S-.D S-R-G", 'S - - R', 'S-- R', 'GR S', '(N)S R', '(NR)S', 'G~R S', 'G-~R',
+    'S | R G | P', "..P S''", "S' N"
+  ].forEach(text => {
+    const parsed = parseNotation(text);
+    assert.deepEqual(parsed.errors, [], text);
+    assert.equal(serializeNotation(parsed), text);
+  });
+});
+
+test('other spellings of the same notation come back canonical and parse to the same matras', () => {
+  [['S  R', 'S R'], ['S-R -', 'S-R -'], ["S R|G", 'S R | G']].forEach(([text, canonical]) => {
+    const parsed = parseNotation(text);
+    assert.equal(serializeNotation(parsed), canonical, text);
+    assert.deepEqual(parseNotation(canonical).matras, parsed.matras, text);
+  });
+});
+
+test('notation errors point at the character that caused them', () => {
+  const errors = (text) => parseNotation(text).errors.map(e => [e.index, e.message]);
+  assert.deepEqual(errors('S x R'), [[2, "Unexpected 'x'"]]);
+  assert.deepEqual(errors("'S"), [[0, "Taar mark ' must follow a swara"]]);
+  assert.deepEqual(errors('~S'), [[0, 'Meend must follow a swara']]);
+  assert.deepEqual(errors('S R (G'), [[4, 'Unclosed kan (']]);
+  assert.deepEqual(errors('S (x)R'), [[2, 'Kan must contain plain swaras']]);
+  assert.deepEqual(errors('S . R'), [[2, 'Dangling octave mark, kan or meend']]);
+  assert.deepEqual(errors('S R .'), [[4, 'Dangling octave mark, kan or meend']]);
+  assert.deepEqual(errors('G~ R'), [[1, 'Dangling octave mark, kan or meend']]);
+  assert.deepEqual(errors('S (N) R'), [[2, 'Dangling octave mark, kan or meend']]);
+  // what parses around an error is kept
+  assert.equal(serializeNotation(parseNotation('S x R')), 'S R');
+});
+
+test('parseChalanNotation makes the implicit upper Sa taar unless the text has octave marks', () => {
+  const octaves = (parsed) => parsed.matras.flatMap(m => m.swaras.map(s => s.octave));
+  assert.deepEqual(octaves(parseChalanNotation('S R G S', 'aaroh')), [0, 0, 0, 1]);
+  assert.deepEqual(octaves(parseChalanNotation('S N D S', 'avroh')), [1, 0, 0, 0]);
+  assert.deepEqual(octaves(parseChalanNotation(".N R G S", 'aaroh')), [-1, 0, 0, 0]);
+  assert.equal(serializeNotation(parseChalanNotation('S-N-D-P', 'avroh')), "S'-N-D-P");
+});
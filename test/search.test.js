@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchRagas } from '../lib/routes.js';
+import { parseQuery } from '../lib/query.js';
+import { parseAarohAvrohCSV, parseMelakartaCSV } from '../lib/raga-theory.js';
+
+// Two rows with metadata, one with the columns blank and one cut short after Avroh, as in the CSV
+const ragas = [
+  ...parseAarohAvrohCSV([
+    'RAGATABLE,Aroha,Avroh,ArohaChalan,AvrohChalan,Thaat,Vadi,Samvadi,Pakad,Prahar,Season,Rasa',
+    "Yaman,S-R-G-M-P-D-N-S',S'-N-D-P-M-G-R-S,,,Kalyan,G,N,,evening,,shringar",
+    "Bhairav,S-r-G-m-P-d-N-S',S'-N-d-P-m-G-r-S,,,Bhairav,d,r,,dawn,,shanta/bhakti",
+    "Bhupali,S-R-G-P-D-S',S'-D-P-G-R-S,,,,,,,,,",
+    "Abhogi,S-R-g-m-D-S',S'-D-m-g-R-S"
+  ].join('\n')),
+  ...parseMelakartaCSV('number,name,swaras\n65,Mechakalyani,S R2 G3 M2 P D2 N3 S\n')
+];
+
+const search = (params, q = '') => searchRagas(ragas, new URLSearchParams(params), parseQuery(q))
+  .map(r => (r.unknown ? `${r.name}? ${r.unknown.join(',')}` : r.name));
+
+test('a metadata filter lists the known matches, then the ragas that leave the field blank', () => {
+  assert.deepEqual(search('thaat=kalyan'), ['Yaman', 'Bhupali? thaat', 'Abhogi? thaat']);
+  assert.deepEqual(search('prahar=dawn'), ['Bhairav', 'Bhupali? prahar', 'Abhogi? prahar']);
+  assert.deepEqual(search('rasa=bhakti'), ['Bhairav', 'Bhupali? rasa', 'Abhogi? rasa']);
+  assert.deepEqual(search('vadi=G'), ['Yaman', 'Bhupali? vadi', 'Abhogi? vadi']);
+  assert.deepEqual(search('samvadi=1'), ['Bhairav', 'Bhupali? samvadi', 'Abhogi? samvadi']);
+});
+
+test('a raga with a value that differs is left out, and so is one without the field at all', () => {
+  assert.ok(!search('thaat=kalyan').includes('Bhairav'));
+  // the melakartas carry no thaat or prahar
+  assert.ok(!search('thaat=kalyan').some(name => name.startsWith('Mechakalyani')));
+  assert.deepEqual(search('season=spring'), ['Yaman? season', 'Bhairav? season', 'Bhupali? season', 'Abhogi? season']);
+  assert.deepEqual(search('vadi=X'), []);
+});
+
+test('unknown fields add up across filters and query terms', () => {
+  assert.deepEqual(search('thaat=kalyan&prahar=evening'), ['Yaman', 'Bhupali? thaat,prahar', 'Abhogi? thaat,prahar']);
+  assert.deepEqual(search('', 'thaat:kalyan prahar:evening'), ['Yaman', 'Bhupali? thaat,prahar', 'Abhogi? thaat,prahar']);
+  assert.deepEqual(search('prahar=evening', 'thaat:kalyan'), ['Yaman', 'Bhupali? thaat,prahar', 'Abhogi? thaat,prahar']);
+  // a swara filter still applies to the ragas with unknown metadata
+  assert.deepEqual(search('thaat=kalyan', 'swaras:+P'), ['Yaman', 'Bhupali? thaat']);
+});
+
+test('without metadata filters nothing is marked', () => {
+  assert.deepEqual(search('', 'jati:audav'), ['Bhupali', 'Abhogi']);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findTaal, vibhagMarkers, vibhagAt } from '../lib/taal.js';
+
+const markers = (id) => vibhagMarkers(findTaal(id)).map(v => [v.start, v.label]);
+
+test('Teentaal and Jhaptaal mark sam X, khali 0 and number the talis from sam', () => {
+  assert.deepEqual(markers('teentaal'), [[0, 'X'], [4, '2'], [8, '0'], [12, '3']]);
+  assert.deepEqual(markers('jhaptaal'), [[0, 'X'], [2, '2'], [5, '0'], [7, '3']]);
+  assert.deepEqual(markers('ektaal').map(([, label]) => label), ['X', '0', '2', '0', '3', '4']);
+});
+
+test('Rupak\'s khali sam is 0 and counts as the first vibhag, so its talis are 2 and 3', () => {
+  const rupak = vibhagMarkers(findTaal('rupak'));
+  assert.deepEqual(rupak.map(v => [v.start, v.label]), [[0, '0'], [3, '2'], [5, '3']]);
+  assert.deepEqual(rupak.map(v => [v.clap, v.sam]), [['khali', true], ['tali', false], ['tali', false]]);
+});
+
+test('vibhagAt finds the division of a beat, wrapping around the cycle', () => {
+  const teentaal = findTaal('teentaal');
+  assert.equal(vibhagAt(teentaal, 9).label, '0');
+  assert.equal(vibhagAt(teentaal, 16).label, 'X');
+  assert.equal(vibhagAt(findTaal('rupak'), -1).label, '3');
+});
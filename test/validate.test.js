@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateHindustaniCSV, validateMelakartaCSV, validateRagaData } from '../lib/validate.js';
+
+// Line 1 is the header, so the first raga is on line 2
+const HINDUSTANI = [
+  'RAGATABLE,Aroha,Avroh,ArohaChalan,AvrohChalan,Thaat,Vadi,Samvadi,Prahar,Vakra',
+  "Bhupali,S-R-G-P-D-S',S'-D-P-G-R-S,,,Kalyan,G,D,evening,",
+  "Yaman,.N-R-G-M-D-N-S',S'-N-D-P-M-G-R-S,,,Kalyan,G,N,evening,",
+  "Bhoopali,S-R-G-P-D-S',S'-D-P-G-R-S,,,,,,,",
+  "Yaman,S-R-G-M-P-D-N-S',S'-N-D-P-M-G-R-S,,,,,,,",
+  "Typo,S-R-X-P-S',S'-P-Gg-R-S,,,,,,,",
+  "Turning,S-R-G-R-M-P-S',S'-P-M-G-R-S,,,,,,,",
+  "Straight,S-R-G-P-S',S'-P-G-R-S,,,,,,,yes",
+  "Meant Turn,S-R-G-R-M-P-S',S'-P-M-G-R-S,,,,,,,yes",
+  "Chalan,S-R-G-P-S',S'-P-G-R-S,S R G M P S',S' P G R S,,,,,",
+  "Bad Chalan,S-R-G-P-S',S'-P-G-R-S,S R (G P S',,,,,,"
+].join('\n');
+
+const MELAKARTA = [
+  'number,name,swaras',
+  '1,Kanakangi,S R1 G1 M1 P D1 N1 S',
+  '2,Ratnangi,S R1 G1 M1 P D1 N2 S',
+  '2,Twice,S R1 G1 M1 P D1 N3 S',
+  'x,Unnumbered,S R1 G1 M1 P D1 N3 S'
+].join('\n');
+
+const JANYA = [
+  'name,melakarta,arohanam,avarohanam,vakra',
+  'Yaman,1,S R1 G1 P S,S P G1 R1 S,',
+  'Odd,1,S R1 X9 P S,S P R1 S,',
+  'Orphan,99,S R1 S,S R1 S,'
+].join('\n');
+
+// [line, raga, code] of every issue, or only those of one code
+const found = (issues, code) => issues.filter(i => !code || i.code === code).map(i => [i.line, i.raga, i.code]);
+
+test('unknown swara letters are errors and compound tokens warnings, on their row', () => {
+  const { issues } = validateHindustaniCSV(HINDUSTANI);
+  const unknown = issues.find(i => i.code === 'unknown-swara');
+  assert.deepEqual([unknown.line, unknown.raga, unknown.field, unknown.severity], [6, 'Typo', 'aroha', 'error']);
+  const compound = issues.find(i => i.code === 'compound-token');
+  assert.deepEqual([compound.line, compound.field, compound.severity], [6, 'avroh', 'warning']);
+  assert.match(compound.message, /"Gg" sets 2 swaras/);
+});
+
+test('exact duplicate names are errors and spelling variants warnings', () => {
+  const { issues } = validateHindustaniCSV(HINDUSTANI);
+  assert.deepEqual(found(issues, 'duplicate-name'), [[5, 'Yaman', 'duplicate-name']]);
+  assert.match(issues.find(i => i.code === 'duplicate-name').message, /line 3/);
+  assert.deepEqual(found(issues, 'near-duplicate-name'), [[4, 'Bhoopali', 'near-duplicate-name']]);
+  assert.match(issues.find(i => i.code === 'near-duplicate-name').message, /Bhupali \(line 2\)/);
+});
+
+test('turns need the Vakra flag and the flag needs a turn', () => {
+  const { issues } = validateHindustaniCSV(HINDUSTANI);
+  assert.deepEqual(found(issues, 'not-monotonic'), [[7, 'Turning', 'not-monotonic']]);
+  assert.match(issues.find(i => i.code === 'not-monotonic').message, /Ga to Re/);
+  assert.deepEqual(found(issues, 'vakra-unused'), [[8, 'Straight', 'vakra-unused']]);
+  // a lower-octave Ni before Re still ascends, and a flagged turn is fine
+  assert.deepEqual(found(issues).filter(([line]) => line === 3 || line === 9), []);
+});
+
+test('chalan swaras missing from the Aroha and chalan syntax errors are reported', () => {
+  const { issues } = validateHindustaniCSV(HINDUSTANI);
+  const extra = issues.find(i => i.code === 'chalan-extra-swara');
+  assert.deepEqual([extra.line, extra.field, extra.message], [10, 'arohaChalan', 'Uses Ma♯, which the Aroha lacks']);
+  const syntax = issues.find(i => i.code === 'chalan-syntax');
+  assert.deepEqual([syntax.line, syntax.severity], [11, 'error']);
+  assert.match(syntax.message, /at character 5$/);
+});
+
+test('melakarta numbers must be 1-72, once each, and all present', () => {
+  const { issues } = validateMelakartaCSV(MELAKARTA);
+  assert.deepEqual(found(issues, 'duplicate-number'), [[4, 'Twice', 'duplicate-number']]);
+  assert.match(issues.find(i => i.code === 'duplicate-number').message, /also on line 3/);
+  assert.deepEqual(found(issues, 'bad-number'), [[5, 'Unnumbered', 'bad-number']]);
+  const missing = issues.filter(i => i.code === 'missing-number');
+  assert.equal(missing.length, 70);
+  assert.equal(missing[0].message, 'No melakarta 3');
+  assert.equal(missing[0].line, null);
+});
+
+test('a janya named like a Hindustani raga is reported against the row lookups find', () => {
+  const report = validateRagaData({ hindustani: HINDUSTANI, melakarta: MELAKARTA, janya: JANYA });
+  const janya = report.issues.filter(i => i.file === 'janya_ragas.csv');
+  assert.deepEqual(found(janya), [
+    [3, 'Odd', 'unknown-swara'],
+    [4, 'Orphan', 'unknown-parent'],
+    [2, 'Yaman', 'shadowed-name']
+  ]);
+  assert.match(janya[2].message, /aarohavroha\.csv \(line 3\)/);
+  assert.equal(report.ok, false);
+  assert.equal(report.errors, report.issues.filter(i => i.severity === 'error').length);
+});
+
+test('a file that cannot be read is one error and the rest are still checked', () => {
+  const report = validateRagaData({ hindustani: HINDUSTANI, melakarta: null, janya: JANYA });
+  assert.deepEqual(found(report.issues, 'unreadable'), [[null, null, 'unreadable']]);
+  assert.deepEqual(report.files.map(f => f.rows), [10, 0, 3]);
+});